@@ -0,0 +1,180 @@
+/**
+ * Print Bridge
+ * Sends every new print to an endpoint on the user's machine so other tools
+ * (chat bots, photobooth slideshows, archive scripts) can pick it up. The URL
+ * picks the transport: ws:// or wss:// keeps a WebSocket open, http:// or
+ * https:// POSTs each print. tools/print-receiver.js is a reference receiver.
+ *
+ * Messages are JSON:
+ *   { type: 'print', version, timestamp, firmware, source, adapter, title,
+ *     width, height, scale, border, palette, printParams, integrity, edits,
+ *     png, tiles }
+ * The fields match the print entries of the "Download All" manifest. png is
+ * the image as exported (export palette, scale, border and the print's edits),
+ * tiles the raw 2bpp tile data of every sheet, both base64.
+ * { type: 'ping' } checks the connection. Receivers may answer
+ * { type: 'saved', files } or { type: 'pong' }.
+ */
+
+const BRIDGE_SETTINGS_KEY = 'bridgeSettings';
+const BRIDGE_MESSAGE_VERSION = 1;
+const DEFAULT_BRIDGE_URL = 'ws://localhost:8765';
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked: spreading a whole PNG into fromCharCode overflows the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// 'websocket', 'http' or null for URLs the bridge can't send to
+function bridgeTransport(url) {
+    const match = /^(wss?|https?):\/\//i.exec(url || '');
+    if (!match) return null;
+    return match[1].toLowerCase().startsWith('ws') ? 'websocket' : 'http';
+}
+
+// The message for one print; png: bytes of the exported image, width x height
+// the print's size before export scaling and border
+function bridgeMessage(record, png, { width, height, scale, border, palette }) {
+    return {
+        type: 'print',
+        version: BRIDGE_MESSAGE_VERSION,
+        timestamp: new Date(record.timestamp).toISOString(),
+        firmware: record.firmware,
+        source: record.source,
+        adapter: record.adapter || null,
+        title: record.title || null,
+        width,
+        height,
+        scale,
+        border,
+        palette: { id: palette.id, name: palette.name, colors: palette.colors },
+        printParams: record.sheets.map(sheet => sheet.params),
+        integrity: record.integrity || null,
+        edits: record.edits ? normalizeEdits(record.edits) : null,
+        png: bytesToBase64(png),
+        tiles: bytesToBase64(printToTiles(record))
+    };
+}
+
+class PrintBridge {
+    // onStatus(text, ok): what happened to the last message, for the settings line
+    constructor(onStatus = () => { }) {
+        this.onStatus = onStatus;
+        this.settings = this.loadSettings();
+        this.socket = null;
+        this.queue = [];  // Messages waiting for the WebSocket to open
+    }
+
+    loadSettings() {
+        const defaults = { enabled: false, url: DEFAULT_BRIDGE_URL };
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(BRIDGE_SETTINGS_KEY)));
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    // A changed URL or switching off drops the open connection
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        localStorage.setItem(BRIDGE_SETTINGS_KEY, JSON.stringify(this.settings));
+        this.close();
+    }
+
+    // Send a print message if the bridge is on; failures are reported, not thrown
+    async send(message) {
+        if (!this.settings.enabled) return;
+        const text = JSON.stringify(message);
+        try {
+            switch (bridgeTransport(this.settings.url)) {
+                case 'websocket':
+                    this.sendSocket(text);
+                    break;
+                case 'http':
+                    await this.post(text);
+                    break;
+                default:
+                    throw new Error('Use a ws://, wss://, http:// or https:// URL');
+            }
+        } catch (err) {
+            console.warn('Print bridge error:', err);
+            this.onStatus(`Could not send: ${err.message}`, false);
+        }
+    }
+
+    // Check the endpoint answers, even while sending is switched off
+    async test() {
+        const enabled = this.settings.enabled;
+        this.settings.enabled = true;
+        await this.send({ type: 'ping', version: BRIDGE_MESSAGE_VERSION });
+        this.settings.enabled = enabled;
+    }
+
+    async post(text) {
+        const response = await fetch(this.settings.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: text
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.handleReply(await response.text());
+    }
+
+    sendSocket(text) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(text);
+            return;
+        }
+        this.queue.push(text);
+        if (!this.socket) this.connect();
+    }
+
+    connect() {
+        const socket = new WebSocket(this.settings.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.onStatus('Connected', true);
+            this.queue.forEach(text => socket.send(text));
+            this.queue = [];
+        });
+        socket.addEventListener('message', e => this.handleReply(e.data));
+        // Also follows a failed connection; queued prints are dropped rather than piling up
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.queue.length > 0) {
+                this.onStatus(`Could not connect, ${this.queue.length} message(s) not sent`, false);
+                this.queue = [];
+            } else {
+                this.onStatus('Connection closed, reconnects with the next print', true);
+            }
+        });
+    }
+
+    handleReply(text) {
+        let reply = null;
+        try {
+            reply = JSON.parse(text);
+        } catch (e) {
+            // Receivers don't have to answer in JSON
+        }
+        if (reply && reply.type === 'saved' && reply.files) {
+            this.onStatus(`Sent, saved as ${reply.files.join(', ')}`, true);
+        } else if (reply && reply.type === 'error') {
+            this.onStatus(`Receiver error: ${reply.message}`, false);
+        } else {
+            this.onStatus(reply && reply.type === 'pong' ? 'Receiver answered' : 'Sent', true);
+        }
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.queue = [];
+        if (socket) socket.close();
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Firmware Stream Capture & Replay
+ * Records the raw bytes the firmware sends during a session so they can be
+ * attached to bug reports and fed back into the parser without hardware.
+ *
+ * Capture file (JSON):
+ *   { format, version, created, firmware, chunks: [[msSinceStart, "hexbytes"], ...] }
+ */
+
+const CAPTURE_FORMAT = 'gb-link-printer-capture';
+const CAPTURE_VERSION = 1;
+
+class CaptureRecorder {
+    constructor(firmware) {
+        this.firmware = firmware;
+        this.started = Date.now();
+        this.chunks = [];
+        this.byteCount = 0;
+    }
+
+    record(bytes) {
+        this.chunks.push([Date.now() - this.started, toHexString(bytes)]);
+        this.byteCount += bytes.length;
+    }
+
+    toBlob() {
+        const capture = {
+            format: CAPTURE_FORMAT,
+            version: CAPTURE_VERSION,
+            created: new Date(this.started).toISOString(),
+            firmware: this.firmware,
+            chunks: this.chunks
+        };
+        return new Blob([JSON.stringify(capture)], { type: 'application/json' });
+    }
+}
+
+// Parse a capture file's text, throws on anything that is not a capture
+function parseCapture(text) {
+    let capture;
+    try {
+        capture = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Capture file is not valid JSON');
+    }
+    if (!capture || capture.format !== CAPTURE_FORMAT || !Array.isArray(capture.chunks)) {
+        throw new Error('Not a GB-Link Printer capture file');
+    }
+    if (capture.version > CAPTURE_VERSION) {
+        throw new Error(`Unsupported capture version ${capture.version}`);
+    }
+
+    return {
+        created: capture.created,
+        firmware: capture.firmware,
+        chunks: capture.chunks
+            .filter(([, hex]) => hex && hex.length > 0)
+            .map(([t, hex]) => ({ t, bytes: fromHexString(hex) }))
+    };
+}
+
+// Feed captured chunks to onBytes(bytes, time), keeping the recorded gaps divided by speed.
+// time is when the chunk arrived while recording, shifted to the start of the replay:
+// pass it to the parser so its idle timeouts fire as they did live, at any speed.
+// speed = Infinity replays as fast as possible. Stops early when isRunning() is false.
+async function replayCapture(capture, speed, onBytes, isRunning) {
+    const start = Date.now();
+    let lastTime = 0;
+    for (let i = 0; i < capture.chunks.length; i++) {
+        if (!isRunning()) return false;
+
+        const chunk = capture.chunks[i];
+        const delay = (chunk.t - lastTime) / speed;
+        lastTime = chunk.t;
+
+        if (delay >= 1) {
+            await new Promise(r => setTimeout(r, delay));
+        } else if (i % 64 === 0) {
+            // Yield now and then so the page stays responsive at full speed
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        if (!isRunning()) return false;
+        onBytes(chunk.bytes, start + chunk.t);
+    }
+    return true;
+}
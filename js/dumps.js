@@ -0,0 +1,175 @@
+/**
+ * Game Boy Printer Dump Formats
+ * Converts prints to and from the formats other printer tools exchange:
+ *  - Text packet logs as written by the Arduino Game Boy Printer emulator:
+ *    JSON command lines ({"command":"DATA","compressed":0,"more":1}, optionally
+ *    prefixed with "!") followed by hex lines holding the packet payload.
+ *    Raw packet lines ("88 33 01 00 ...") are accepted as well; their checksums
+ *    are verified and packets that fail are dropped.
+ *  - Raw 2bpp tile files (16 bytes per 8x8 tile, 20 tiles per row)
+ *
+ * Imported logs are converted into the same byte stream the firmware sends,
+ * so they go through the regular parser, RLE decoder and renderer.
+ */
+
+// Payload bytes per DATA packet, as sent by the Game Boy Camera
+const DUMP_DATA_CHUNK = 640;
+// Hex bytes per payload line in exported logs
+const DUMP_HEX_PER_LINE = 16;
+
+const HEX_LINE = /^[0-9a-f]{2}(\s+[0-9a-f]{2})*$/i;
+
+function streamPacket(stream, command, compression, data) {
+    stream.push(command, compression, data.length & 0xFF, data.length >> 8, ...data);
+    // Print marker: the firmware sends it once a PRINT has been carried out
+    if (command === PrinterCommand.PRINT) {
+        stream.push(0xFE);
+    }
+}
+
+// Convert a text packet log into a firmware-style byte stream, throws on malformed input.
+// onCheck('ok' | 'checksum') gets the result for each raw packet line that carries a checksum.
+function printerLogToStream(text, onCheck = () => { }) {
+    const stream = [];
+    let pendingData = null;  // DATA command collecting its hex payload lines
+
+    const flushData = () => {
+        if (!pendingData) return;
+        const { compressed, bytes } = pendingData;
+        pendingData = null;
+        if (compressed) {
+            streamPacket(stream, PrinterCommand.DATA, 1, bytes);
+            return;
+        }
+        // Keep packets within the parser's length limit
+        for (let i = 0; i < bytes.length; i += DUMP_DATA_CHUNK) {
+            streamPacket(stream, PrinterCommand.DATA, 0, bytes.slice(i, i + DUMP_DATA_CHUNK));
+        }
+        if (bytes.length === 0) {
+            streamPacket(stream, PrinterCommand.DATA, 0, []);
+        }
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        let line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith('//')) return;
+        if (line.startsWith('!')) line = line.slice(1).trim();
+
+        if (line.startsWith('{')) {
+            flushData();
+            let cmd;
+            try {
+                cmd = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Line ${index + 1}: invalid command JSON`);
+            }
+
+            switch (cmd.command) {
+                case 'INIT':
+                    streamPacket(stream, PrinterCommand.INIT, 0, []);
+                    break;
+                case 'DATA':
+                    pendingData = { compressed: cmd.compressed ? 1 : 0, bytes: [] };
+                    break;
+                case 'PRNT':
+                    streamPacket(stream, PrinterCommand.PRINT, 0, [
+                        cmd.sheets === undefined ? 1 : cmd.sheets,
+                        ((cmd.margin_upper || 0) << 4) | ((cmd.margin_lower || 0) & 0x0F),
+                        cmd.pallet === undefined ? DEFAULT_PRINT_PALETTE : cmd.pallet,
+                        cmd.density === undefined ? DEFAULT_PRINT_EXPOSURE : cmd.density
+                    ]);
+                    break;
+                case 'BREK':
+                    streamPacket(stream, PrinterCommand.BREAK, 0, []);
+                    break;
+                default:
+                    // Status inquiries and other notes carry no print data
+                    break;
+            }
+            return;
+        }
+
+        if (!HEX_LINE.test(line)) {
+            throw new Error(`Line ${index + 1}: not a command or hex data`);
+        }
+        const bytes = line.split(/\s+/).map(hex => parseInt(hex, 16));
+
+        if (pendingData) {
+            pendingData.bytes.push(...bytes);
+        } else if (bytes[0] === 0x88 && bytes[1] === 0x33 && bytes.length >= 6) {
+            // Raw packet: sync, command, compression, length, payload, checksum, ack, status
+            const length = bytes[4] | (bytes[5] << 8);
+            if (bytes.length < 6 + length) {
+                throw new Error(`Line ${index + 1}: packet shorter than its length field`);
+            }
+            if (bytes[2] === PrinterCommand.INQUIRY) return;
+
+            if (bytes.length >= 8 + length) {
+                const checksum = bytes.slice(2, 6 + length).reduce((sum, b) => sum + b, 0) & 0xFFFF;
+                if (checksum !== (bytes[6 + length] | (bytes[7 + length] << 8))) {
+                    console.warn(`Line ${index + 1}: checksum mismatch, packet dropped`);
+                    onCheck('checksum');
+                    return;
+                }
+                onCheck('ok');
+            }
+            streamPacket(stream, bytes[2], bytes[3] ? 1 : 0, bytes.slice(6, 6 + length));
+        } else {
+            throw new Error(`Line ${index + 1}: hex data outside of a DATA command`);
+        }
+    });
+    flushData();
+
+    return new Uint8Array(stream);
+}
+
+function hexLines(bytes) {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += DUMP_HEX_PER_LINE) {
+        lines.push(Array.from(bytes.slice(i, i + DUMP_HEX_PER_LINE),
+            b => b.toString(16).padStart(2, '0').toUpperCase()).join(' '));
+    }
+    return lines;
+}
+
+// Write a print record as a text packet log, one INIT/DATA.../PRNT run per sheet
+function printToLog(record) {
+    const lines = [
+        `// GB-Link Printer export - ${new Date(record.timestamp).toISOString()}`,
+        '// Arduino Game Boy Printer emulator log format'
+    ];
+
+    record.sheets.forEach(sheet => {
+        lines.push(JSON.stringify({ command: 'INIT' }));
+        for (let i = 0; i < sheet.data.length; i += DUMP_DATA_CHUNK) {
+            lines.push(JSON.stringify({ command: 'DATA', compressed: 0, more: 1 }));
+            lines.push(...hexLines(sheet.data.slice(i, i + DUMP_DATA_CHUNK)));
+        }
+        lines.push(JSON.stringify({ command: 'DATA', compressed: 0, more: 0 }));
+
+        const params = sheet.params || { sheets: 1, marginBefore: 0, marginAfter: 0,
+            palette: DEFAULT_PRINT_PALETTE, exposure: DEFAULT_PRINT_EXPOSURE };
+        lines.push(JSON.stringify({
+            command: 'PRNT',
+            sheets: params.sheets,
+            margin_upper: params.marginBefore,
+            margin_lower: params.marginAfter,
+            pallet: params.palette,
+            density: params.exposure
+        }));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Concatenated tile data of every sheet
+function printToTiles(record) {
+    const length = record.sheets.reduce((sum, sheet) => sum + sheet.data.length, 0);
+    const tiles = new Uint8Array(length);
+    let offset = 0;
+    record.sheets.forEach(sheet => {
+        tiles.set(sheet.data, offset);
+        offset += sheet.data.length;
+    });
+    return tiles;
+}
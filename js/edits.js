@@ -0,0 +1,260 @@
+/**
+ * Print Edits
+ * Crops, frames and turns prints when they are drawn. Edits never touch the
+ * stored tile data: a print record keeps them next to its sheets and every
+ * view and PNG export applies them again. Pure functions without DOM access,
+ * like js/render.js; custom frames are kept in localStorage.
+ *
+ * Edits: { rotate: 0 | 90 | 180 | 270 (clockwise), flipX, flipY,
+ *          crop: 'none' | 'margins' | 'camera', frame: frame id or null }
+ */
+
+// Game Boy Camera print: 160x144 with the picture in a 128x112 window inside the frame
+const CAMERA_WIDTH = 160;
+const CAMERA_HEIGHT = 144;
+const CAMERA_AREA = { x: 16, y: 16, width: 128, height: 112 };
+
+const NO_EDITS = { rotate: 0, flipX: false, flipY: false, crop: 'none', frame: null };
+
+// One 8x8 tile repeated across the frame, one shade digit per pixel
+function tileShadeAt(rows) {
+    return (x, y) => Number(rows[y & 7][x & 7]);
+}
+
+// Laid out like the Game Boy Camera's own frames: a pattern all around, and a
+// black line two pixels outside the picture with blank paper on both sides of it
+function cameraFrame(patternAt) {
+    const area = CAMERA_AREA;
+    return (x, y) => {
+        const distance = Math.max(area.x - x, x - (area.x + area.width - 1), area.y - y, y - (area.y + area.height - 1));
+        if (distance === 2) return 3;
+        return distance <= 3 ? 0 : patternAt(x, y);
+    };
+}
+
+// Frames that come with the client; shadeAt(x, y) covers the pixels around the window.
+// The patterned ones recreate the kind of frame the camera ships with, drawn for
+// this client: Nintendo's artwork itself is not included, a scan of it can be
+// added as a custom frame.
+const FRAME_PRESETS = [
+    { id: 'white', name: 'White border', shadeAt: () => 0 },
+    { id: 'black', name: 'Black border', shadeAt: () => 3 },
+    {
+        id: 'film',
+        name: 'Film strip',
+        // Sprocket holes in the black bands above and below the picture
+        shadeAt: (x, y) => ((y >= 5 && y < 11) || (y >= 133 && y < 139)) && x % 16 >= 4 && x % 16 < 12 ? 0 : 3
+    },
+    { id: 'checker', name: 'Checkerboard', shadeAt: (x, y) => ((x >> 3) + (y >> 3)) % 2 ? 1 : 0 },
+    { id: 'outline', name: 'Outlined', shadeAt: cameraFrame(() => 0) },
+    {
+        id: 'hearts',
+        name: 'Hearts',
+        shadeAt: cameraFrame(tileShadeAt([
+            '00000000', '02202200', '22222220', '22222220', '02222200', '00222000', '00020000', '00000000'
+        ]))
+    },
+    {
+        id: 'stars',
+        name: 'Stars',
+        shadeAt: cameraFrame(tileShadeAt([
+            '00000000', '00030000', '00333000', '33333330', '03333300', '03303300', '03000300', '00000000'
+        ]))
+    },
+    {
+        id: 'bricks',
+        name: 'Brick wall',
+        shadeAt: cameraFrame(tileShadeAt([
+            '33333333', '11113111', '11113111', '11113111', '33333333', '31111111', '31111111', '31111111'
+        ]))
+    },
+    {
+        id: 'waves',
+        name: 'Waves',
+        shadeAt: cameraFrame(tileShadeAt([
+            '00000000', '00000000', '22000022', '12200221', '01222210', '00111100', '00000000', '00000000'
+        ]))
+    },
+    {
+        id: 'dots',
+        name: 'Polka dots',
+        shadeAt: cameraFrame(tileShadeAt([
+            '00000000', '00000000', '00022000', '00222200', '00222200', '00022000', '00000000', '00000000'
+        ]))
+    },
+    {
+        id: 'gingham',
+        name: 'Gingham',
+        shadeAt: cameraFrame((x, y) => ((x >> 2) & 1) + ((y >> 2) & 1))
+    },
+    {
+        id: 'sunburst',
+        name: 'Sunburst',
+        // 24 rays from the middle of the picture
+        shadeAt: cameraFrame((x, y) => {
+            const ray = Math.floor((Math.atan2(y - CAMERA_HEIGHT / 2, x - CAMERA_WIDTH / 2) + Math.PI) * 12 / Math.PI);
+            return ray % 2 ? 2 : 0;
+        })
+    }
+];
+
+const CUSTOM_FRAMES_KEY = 'customFrames';
+
+// Fill in missing fields of edits stored by an older version (or none at all)
+function normalizeEdits(edits) {
+    return Object.assign({}, NO_EDITS, edits);
+}
+
+function hasEdits(edits) {
+    const e = normalizeEdits(edits);
+    return e.rotate !== 0 || e.flipX || e.flipY || e.crop !== 'none' || e.frame !== null;
+}
+
+// A print laid out like a camera photo: one 160x144 picture between the margins
+function isCameraPrint(image) {
+    return image.width === CAMERA_WIDTH && image.printBottom - image.printTop === CAMERA_HEIGHT;
+}
+
+// Custom frames: { id, name, shades (one digit 0-3 per pixel), custom: true }
+function loadCustomFrames() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_FRAMES_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function getFrames() {
+    return [...FRAME_PRESETS, ...loadCustomFrames()];
+}
+
+// null for unknown ids, e.g. a custom frame deleted since
+function findFrame(id) {
+    return getFrames().find(f => f.id === id) || null;
+}
+
+// Returns the stored frame
+function storeCustomFrame(name, shades) {
+    const frame = { id: `frame-${Date.now()}`, name, shades: Array.from(shades).join(''), custom: true };
+    localStorage.setItem(CUSTOM_FRAMES_KEY, JSON.stringify([...loadCustomFrames(), frame]));
+    return frame;
+}
+
+function removeCustomFrame(id) {
+    localStorage.setItem(CUSTOM_FRAMES_KEY, JSON.stringify(loadCustomFrames().filter(f => f.id !== id)));
+}
+
+// One shade per pixel of a 160x144 frame; the window is left blank
+function frameShades(frame) {
+    if (frame.shades) return Uint8Array.from(frame.shades, digit => Number(digit));
+
+    const shades = new Uint8Array(CAMERA_WIDTH * CAMERA_HEIGHT);
+    for (let y = 0; y < CAMERA_HEIGHT; y++) {
+        for (let x = 0; x < CAMERA_WIDTH; x++) {
+            shades[y * CAMERA_WIDTH + x] = frame.shadeAt(x, y);
+        }
+    }
+    return shades;
+}
+
+// Turn the RGBA pixels of a frame image into shades by brightness (white = 0 ... black = 3)
+function imageToFrameShades(pixels, width, height) {
+    if (width !== CAMERA_WIDTH || height !== CAMERA_HEIGHT) {
+        throw new Error(`A frame image must be ${CAMERA_WIDTH}x${CAMERA_HEIGHT} pixels, not ${width}x${height}`);
+    }
+    const shades = new Uint8Array(width * height);
+    for (let i = 0; i < shades.length; i++) {
+        const luma = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        shades[i] = 3 - Math.round(luma / 255 * 3);
+    }
+    return shades;
+}
+
+// Copy a rectangle of a decoded print, keeping each row's exposure
+function cropImage(image, x, y, width, height) {
+    const shades = new Uint8Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const start = (y + row) * image.width + x;
+        shades.set(image.shades.subarray(start, start + width), row * width);
+    }
+    return {
+        width,
+        height,
+        shades,
+        exposures: image.exposures.slice(y, y + height),
+        printTop: 0,
+        printBottom: height
+    };
+}
+
+// Apply the crop and frame of the edits to a decoded print (see decodePrint).
+// Camera crops and frames only apply to camera-shaped prints; others stay as they are.
+function editImage(image, edits) {
+    const { crop, frame } = normalizeEdits(edits);
+    const camera = isCameraPrint(image);
+    const area = CAMERA_AREA;
+
+    const chosenFrame = frame && camera ? findFrame(frame) : null;
+    if (chosenFrame) {
+        // The frame's rows print with the exposure of the print, like on the Game Boy
+        const framed = cropImage(image, 0, image.printTop, CAMERA_WIDTH, CAMERA_HEIGHT);
+        const border = frameShades(chosenFrame);
+        for (let y = 0; y < CAMERA_HEIGHT; y++) {
+            for (let x = 0; x < CAMERA_WIDTH; x++) {
+                const inWindow = x >= area.x && x < area.x + area.width && y >= area.y && y < area.y + area.height;
+                if (!inWindow) framed.shades[y * CAMERA_WIDTH + x] = border[y * CAMERA_WIDTH + x];
+            }
+        }
+        return framed;
+    }
+
+    if (crop === 'camera' && camera) {
+        return cropImage(image, area.x, image.printTop + area.y, area.width, area.height);
+    }
+    if (crop === 'margins' && image.printBottom > image.printTop) {
+        return cropImage(image, 0, image.printTop, image.width, image.printBottom - image.printTop);
+    }
+    return image;
+}
+
+// Rotate (clockwise), then flip what that shows. Works on any pixel buffer with
+// `channels` values per pixel, e.g. RGBA from renderPixels()
+function orientPixels(pixels, width, height, edits, channels = 4) {
+    const { rotate, flipX, flipY } = normalizeEdits(edits);
+    if (rotate === 0 && !flipX && !flipY) return { pixels, width, height };
+
+    const turned = rotate % 180 !== 0;
+    const outWidth = turned ? height : width;
+    const outHeight = turned ? width : height;
+    const out = new pixels.constructor(pixels.length);
+
+    for (let oy = 0; oy < outHeight; oy++) {
+        for (let ox = 0; ox < outWidth; ox++) {
+            const rx = flipX ? outWidth - 1 - ox : ox;
+            const ry = flipY ? outHeight - 1 - oy : oy;
+            let sx = rx;
+            let sy = ry;
+            if (rotate === 90) {
+                sx = ry;
+                sy = height - 1 - rx;
+            } else if (rotate === 180) {
+                sx = width - 1 - rx;
+                sy = height - 1 - ry;
+            } else if (rotate === 270) {
+                sx = width - 1 - ry;
+                sy = rx;
+            }
+            const from = (sy * width + sx) * channels;
+            out.set(pixels.subarray(from, from + channels), (oy * outWidth + ox) * channels);
+        }
+    }
+    return { pixels: out, width: outWidth, height: outHeight };
+}
+
+// Width and height of a print after its edits
+function editedSize(image, edits) {
+    const edited = editImage(image, edits);
+    return normalizeEdits(edits).rotate % 180 !== 0
+        ? { width: edited.height, height: edited.width }
+        : { width: edited.width, height: edited.height };
+}
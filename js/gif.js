@@ -0,0 +1,158 @@
+/**
+ * Minimal Animated GIF Writer
+ * Encodes RGBA frames of the same size into a looping GIF89a entirely in the
+ * browser. Prints have only a handful of colors (4 shades plus paper white),
+ * so every frame shares one global color table with exact colors and needs
+ * no quantizing.
+ */
+
+const GIF_MAX_COLORS = 256;
+const GIF_MAX_CODE_SIZE = 12;
+
+// GIF delays are counted in hundredths of a second; browsers slow down anything under 20 ms
+const GIF_MIN_DELAY_MS = 20;
+
+// Variable-length LZW as GIF uses it: clear code first, codes packed LSB first
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();  // (prefix code << 8 | index) -> code
+
+    const write = code => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            out.push(buffer & 0xFF);
+            buffer >>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+        write(prefix);
+        if (nextCode === 1 << GIF_MAX_CODE_SIZE) {
+            // Table full: start over
+            write(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    write(prefix);
+    write(endCode);
+    if (bufferBits > 0) out.push(buffer & 0xFF);
+    return out;
+}
+
+class GifWriter {
+    // loop: repeat forever (true) or play once
+    constructor(width, height, { loop = true } = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = loop;
+        this.frames = [];
+    }
+
+    // pixels: RGBA (ImageData layout) of width x height; alpha is ignored
+    addFrame(pixels, delayMs) {
+        if (pixels.length !== this.width * this.height * 4) {
+            throw new Error(`Frame is not ${this.width}x${this.height} pixels`);
+        }
+        this.frames.push({ pixels, delay: Math.round(Math.max(delayMs, GIF_MIN_DELAY_MS) / 10) });
+    }
+
+    // One color table for all frames, plus each frame's pixels as indices into it
+    indexColors() {
+        const colors = new Map();  // 0xRRGGBB -> index
+        const frames = this.frames.map(({ pixels }) => {
+            const indices = new Uint8Array(pixels.length / 4);
+            for (let i = 0; i < indices.length; i++) {
+                const rgb = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+                if (!colors.has(rgb)) {
+                    if (colors.size === GIF_MAX_COLORS) throw new Error(`GIF frames can use at most ${GIF_MAX_COLORS} colors`);
+                    colors.set(rgb, colors.size);
+                }
+                indices[i] = colors.get(rgb);
+            }
+            return indices;
+        });
+        return { colors: [...colors.keys()], frames };
+    }
+
+    toBytes() {
+        if (this.frames.length === 0) throw new Error('GIF has no frames');
+        const { colors, frames } = this.indexColors();
+        // Color table size is 2^tableBits entries; LZW needs at least 2 bits
+        let tableBits = 1;
+        while (1 << tableBits < colors.length) tableBits++;
+        const minCodeSize = Math.max(tableBits, 2);
+
+        const bytes = [];
+        const u16 = value => bytes.push(value & 0xFF, value >> 8);
+        const ascii = text => bytes.push(...Array.from(text, c => c.charCodeAt(0)));
+
+        ascii('GIF89a');
+        u16(this.width);
+        u16(this.height);
+        bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);  // Global color table, background 0, square pixels
+        for (let i = 0; i < 1 << tableBits; i++) {
+            const rgb = colors[i] || 0;
+            bytes.push(rgb >> 16, (rgb >> 8) & 0xFF, rgb & 0xFF);
+        }
+
+        if (this.loop) {
+            // NETSCAPE2.0 application extension: loop count 0 = forever
+            bytes.push(0x21, 0xFF, 0x0B);
+            ascii('NETSCAPE2.0');
+            bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+        }
+
+        frames.forEach((indices, i) => {
+            // Graphic control extension: keep the frame (disposal 1), delay, no transparency
+            bytes.push(0x21, 0xF9, 0x04, 0x04);
+            u16(this.frames[i].delay);
+            bytes.push(0x00, 0x00);
+
+            // Image descriptor covering the whole screen, no local color table
+            bytes.push(0x2C);
+            u16(0);
+            u16(0);
+            u16(this.width);
+            u16(this.height);
+            bytes.push(0x00);
+
+            // Image data in sub-blocks of up to 255 bytes
+            bytes.push(minCodeSize);
+            const data = lzwEncode(indices, minCodeSize);
+            for (let offset = 0; offset < data.length; offset += 255) {
+                const block = data.slice(offset, offset + 255);
+                bytes.push(block.length, ...block);
+            }
+            bytes.push(0x00);
+        });
+
+        bytes.push(0x3B);  // Trailer
+        return new Uint8Array(bytes);
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'image/gif' });
+    }
+}
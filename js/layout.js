@@ -0,0 +1,96 @@
+/**
+ * Print Layout Sheets
+ * Arranges prints on A4 or Letter pages for a home printer: rows of equally
+ * wide pictures, optional captions below them and, for sticker sheets, cut
+ * lines around each one. Pure layout math in millimetres from the top-left
+ * corner of the page; GameBoyPrinter turns it into a printable page or a PDF
+ * (js/pdf.js).
+ */
+
+const LAYOUT_PAPERS = {
+    a4: { name: 'A4', width: 210, height: 297 },
+    letter: { name: 'Letter', width: 215.9, height: 279.4 }
+};
+
+// Picture sizes by width; stickers are cut from strips as wide as Game Boy Printer paper
+const LAYOUT_SIZES = [
+    { id: 'sticker', name: 'Sticker, printer paper width (38 mm)', width: 38, sticker: true },
+    { id: 'small', name: 'Small (50 mm)', width: 50 },
+    { id: 'medium', name: 'Medium (75 mm)', width: 75 },
+    { id: 'large', name: 'Large (100 mm)', width: 100 },
+    { id: 'page', name: 'Page width', width: null }
+];
+
+const LAYOUT_SETTINGS_KEY = 'layoutSettings';
+const LAYOUT_PAGE_MARGIN_MM = 10;
+const LAYOUT_GAP_MM = 6;
+const LAYOUT_STICKER_GAP_MM = 2;
+// Paper left around the picture inside a sticker's cut line
+const LAYOUT_STICKER_EDGE_MM = 2;
+const LAYOUT_CAPTION_MM = 5;
+
+// Letter for the US and Canada, A4 elsewhere
+function defaultLayoutPaper(language = '') {
+    return /^en-(US|CA)$/i.test(language) ? 'letter' : 'a4';
+}
+
+function findLayoutSize(id) {
+    return LAYOUT_SIZES.find(size => size.id === id) || LAYOUT_SIZES[0];
+}
+
+// items: [{ width, height }] in pixels. Returns the paper and its pages of placed cells:
+//   { x, y, width, height } cell (the cut line of a sticker),
+//   image: { x, y, width, height }, caption: { x, y, width } (baseline) or null, item: index
+function layoutPages(items, { paper = 'a4', size = 'sticker', captions = false } = {}) {
+    const page = LAYOUT_PAPERS[paper] || LAYOUT_PAPERS.a4;
+    const chosen = findLayoutSize(size);
+    const edge = chosen.sticker ? LAYOUT_STICKER_EDGE_MM : 0;
+    const gap = chosen.sticker ? LAYOUT_STICKER_GAP_MM : LAYOUT_GAP_MM;
+    const captionHeight = captions ? LAYOUT_CAPTION_MM : 0;
+    const right = page.width - LAYOUT_PAGE_MARGIN_MM;
+    const bottom = page.height - LAYOUT_PAGE_MARGIN_MM;
+    const maxImageWidth = right - LAYOUT_PAGE_MARGIN_MM - edge * 2;
+    const maxImageHeight = bottom - LAYOUT_PAGE_MARGIN_MM - edge * 2 - captionHeight;
+
+    const pages = [];
+    let cells = null;
+    let x = 0;
+    let y = 0;
+    let rowHeight = 0;
+
+    items.forEach((item, index) => {
+        // Long strips shrink to fit on one page
+        let imageWidth = chosen.width ? chosen.width - edge * 2 : maxImageWidth;
+        let imageHeight = imageWidth * item.height / item.width;
+        if (imageHeight > maxImageHeight) {
+            imageWidth *= maxImageHeight / imageHeight;
+            imageHeight = maxImageHeight;
+        }
+        const width = imageWidth + edge * 2;
+        const height = imageHeight + edge * 2 + captionHeight;
+
+        if (cells && x + width > right + 0.01) {
+            x = LAYOUT_PAGE_MARGIN_MM;
+            y += rowHeight + gap;
+            rowHeight = 0;
+        }
+        if (!cells || y + height > bottom + 0.01) {
+            cells = [];
+            pages.push(cells);
+            x = LAYOUT_PAGE_MARGIN_MM;
+            y = LAYOUT_PAGE_MARGIN_MM;
+            rowHeight = 0;
+        }
+
+        cells.push({
+            item: index,
+            x, y, width, height,
+            image: { x: x + edge, y: y + edge, width: imageWidth, height: imageHeight },
+            caption: captions ? { x: x + edge, y: y + edge + imageHeight + captionHeight - 1.5, width: imageWidth } : null
+        });
+        x += width + gap;
+        rowHeight = Math.max(rowHeight, height);
+    });
+
+    return { paper: page, sticker: !!chosen.sticker, pages };
+}
@@ -0,0 +1,94 @@
+/**
+ * Live Print Preview
+ * Shows a print on its session card while the data is still arriving, one
+ * tile row (8 pixel rows) at a time. New rows are added at the bottom and the
+ * paper scrolls up like it comes out of the printer. The finished print then
+ * goes to the gallery, rendered with its PRINT palette and exposure.
+ *
+ * Sheets of a multi-part print stack on one strip, like the parser stitches them.
+ * The canvas only exists while a print is arriving: it is added with the
+ * first DATA packet and removed when the print is done or aborted.
+ */
+
+class LivePreview {
+    // paper: scrolling element the canvas sits in; palette: () => the display palette
+    constructor(paper, palette) {
+        this.paper = paper;
+        this.palette = palette;
+        this.canvas = null;
+
+        this.sheetTop = 0;  // Tile rows of earlier sheets of the same strip
+        this.sheetRows = 0;  // Tile rows drawn from the sheet being received
+    }
+
+    // Draw the tile rows the parser's print buffer has completed since the last call
+    update(printData) {
+        const rows = completeTileRows(printData.length);
+        if (rows < this.sheetRows) {
+            // INIT cleared the buffer of an unfinished sheet
+            this.discardSheet();
+        }
+        if (!this.canvas && printData.length > 0) this.createCanvas();
+        if (rows <= this.sheetRows) return;
+
+        const image = decodeTileRows(printData, this.sheetRows, rows);
+        const top = (this.sheetTop + this.sheetRows) * 8;
+        this.resize(top + image.height);
+
+        const ctx = this.canvas.getContext('2d');
+        const imageData = ctx.createImageData(image.width, image.height);
+        imageData.data.set(renderPixels(image, this.palette(), false));
+        ctx.putImageData(imageData, 0, top);
+
+        this.sheetRows = rows;
+        this.paper.scrollTop = this.paper.scrollHeight;
+    }
+
+    createCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'preview-canvas';
+        this.canvas.width = TILES_PER_ROW * 8;
+        this.canvas.height = 0;
+        this.paper.appendChild(this.canvas);
+        this.paper.style.display = 'block';
+    }
+
+    removeCanvas() {
+        if (!this.canvas) return;
+        this.paper.removeChild(this.canvas);
+        this.canvas = null;
+        this.paper.style.display = 'none';
+    }
+
+    // A sheet of the strip was printed; the next one continues below it
+    sheetDone() {
+        this.sheetTop += this.sheetRows;
+        this.sheetRows = 0;
+    }
+
+    // Drop the sheet being received, keeping earlier sheets of the strip
+    discardSheet() {
+        this.sheetRows = 0;
+        if (this.sheetTop === 0) {
+            this.removeCanvas();
+        } else {
+            this.resize(this.sheetTop * 8);
+        }
+    }
+
+    // The print is done (now in the gallery) or was aborted: start over
+    clear() {
+        this.sheetTop = 0;
+        this.discardSheet();
+    }
+
+    // Change the canvas height, keeping the rows drawn so far
+    resize(height) {
+        if (height === this.canvas.height) return;
+        const ctx = this.canvas.getContext('2d');
+        const kept = Math.min(height, this.canvas.height);
+        const rows = kept > 0 ? ctx.getImageData(0, 0, this.canvas.width, kept) : null;
+        this.canvas.height = height;
+        if (rows) ctx.putImageData(rows, 0, 0);
+    }
+}
@@ -0,0 +1,468 @@
+/**
+ * Simulated Link Cable Adapter
+ * Stand-in for navigator.usb offering one emulated adapter, so the UI and the
+ * connection flow can be worked on without hardware. Serial drives it like a
+ * real device: it answers the old (reconfigurable, TinyUSB) or new (GBLink,
+ * Zephyr) firmware handshake, acks printer mode with 0x50 and then plays a
+ * scripted stream of printer packets.
+ *
+ * Select it on the connect screen or with a URL flag:
+ *   ?mock=new  or  ?mock=old     (optionally &script=camera|strip|abort)
+ */
+
+// Descriptor values of the emulated firmware families
+const MOCK_FIRMWARE = {
+    new: {
+        name: 'GBLink firmware (simulated)',
+        vendorId: 0x2FE3,
+        productId: 0x0100,
+        version: [1, 0, 0],
+        // EP1 OUT = commands, EP2 OUT/IN = data
+        endpoints: [[1, 'out'], [2, 'out'], [1, 'in'], [2, 'in']]
+    },
+    old: {
+        name: 'Reconfigurable firmware (simulated)',
+        vendorId: 0xCAFE,
+        productId: 0x4011,
+        version: [1, 0, 6],
+        endpoints: [[1, 'out'], [2, 'in']]
+    }
+};
+
+// Byte the old firmware answers to the printer mode magic packet ("P")
+const MOCK_PRINTER_ACK = 0x50;
+// Byte the old firmware answers to other magic packets (voltage switch, LED)
+const MOCK_MAGIC_ACK = 0x01;
+
+// Pause between packets, roughly what the Game Boy needs to send 640 bytes
+const MOCK_PACKET_DELAY_MS = 40;
+// Time the "printer" takes to print a sheet before the print marker
+const MOCK_PRINT_DELAY_MS = 1000;
+// Printer answers kept for inspection in link mode
+const MOCK_MAX_REPLIES = 100;
+// How long a simulated USB drop keeps the adapter away
+const MOCK_REPLUG_DELAY_MS = 2000;
+
+// Simulated adapters in this page, numbered so that each gets its own serial number
+let mockAdapterCount = 0;
+
+// One packet as the firmware forwards it: command, compression, length, payload
+function mockPacket(command, payload = [], compression = 0) {
+    return [command, compression, payload.length & 0xFF, payload.length >> 8, ...payload];
+}
+
+// Encode an image (shadeAt(x, y) -> 0-3) as 2bpp tiles, 20 tiles per row
+function mockTiles(height, shadeAt) {
+    const bytes = [];
+    for (let tileY = 0; tileY < height / 8; tileY++) {
+        for (let tileX = 0; tileX < TILES_PER_ROW; tileX++) {
+            for (let row = 0; row < 8; row++) {
+                let low = 0;
+                let high = 0;
+                for (let col = 0; col < 8; col++) {
+                    const shade = shadeAt(tileX * 8 + col, tileY * 8 + row);
+                    low |= (shade & 1) << (7 - col);
+                    high |= ((shade >> 1) & 1) << (7 - col);
+                }
+                bytes.push(low, high);
+            }
+        }
+    }
+    return bytes;
+}
+
+// Game Boy Printer RLE, as games like Pokémon send it
+function mockCompress(data) {
+    const out = [];
+    let i = 0;
+    while (i < data.length) {
+        let run = 1;
+        while (i + run < data.length && data[i + run] === data[i] && run < 129) run++;
+
+        if (run >= 2) {
+            out.push(0x80 | (run - 2), data[i]);
+            i += run;
+            continue;
+        }
+
+        const start = i;
+        while (i < data.length && i - start < 128 && data[i + 1] !== data[i]) i++;
+        out.push(i - start - 1, ...data.slice(start, i));
+    }
+    return out;
+}
+
+// Raw packet as the Game Boy sends it in link mode: magic, header, data, checksum, two trailing bytes
+function mockRawPacket(command, payload = [], compression = 0) {
+    const body = mockPacket(command, payload, compression);
+    const checksum = body.reduce((sum, b) => sum + b, 0) & 0xFFFF;
+    return [0x88, 0x33, ...body, checksum & 0xFF, checksum >> 8, 0x00, 0x00];
+}
+
+// Script steps: { delay, command, payload, compression } for a packet, { delay, marker } for a firmware marker
+function mockPrintSteps(tiles, { marginBefore = 1, marginAfter = 3, exposure = DEFAULT_PRINT_EXPOSURE, compress = false } = {}) {
+    const steps = [{ delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.INIT }];
+    for (let i = 0; i < tiles.length; i += DUMP_DATA_CHUNK) {
+        const chunk = tiles.slice(i, i + DUMP_DATA_CHUNK);
+        steps.push(compress
+            ? { delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.DATA, payload: mockCompress(chunk), compression: 1 }
+            : { delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.DATA, payload: chunk });
+        steps.push({ delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.INQUIRY });
+    }
+    steps.push({ delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.DATA });
+    steps.push({
+        delay: MOCK_PACKET_DELAY_MS,
+        command: PrinterCommand.PRINT,
+        payload: [1, (marginBefore << 4) | marginAfter, DEFAULT_PRINT_PALETTE, exposure]
+    });
+    steps.push({ delay: MOCK_PRINT_DELAY_MS, marker: [0xFE] });
+    return steps;
+}
+
+// Test card: frame, four shade bars and a diagonal
+function mockTestCard(x, y) {
+    if (x < 8 || x >= 152 || y < 8 || y >= 136) return ((x >> 3) + (y >> 3)) & 1 ? 3 : 1;
+    if (Math.abs((x - 8) - (y - 8)) < 2) return 3;
+    return Math.floor((x - 8) / 36);
+}
+
+// Scripts played once printer mode is active
+const MOCK_SCRIPTS = {
+    camera: {
+        name: 'Camera photo',
+        steps: () => mockPrintSteps(mockTiles(144, mockTestCard))
+    },
+    strip: {
+        name: 'Stitched strip (RLE)',
+        steps: () => [
+            ...mockPrintSteps(mockTiles(48, (x, y) => ((x >> 4) + (y >> 4)) & 1 ? 3 : 0),
+                { marginAfter: 0, compress: true }),
+            ...mockPrintSteps(mockTiles(48, (x, y) => (x + y) % 24 < 4 ? 2 : 0),
+                { marginBefore: 0, compress: true })
+        ]
+    },
+    abort: {
+        name: 'Aborted, then reprinted',
+        steps: () => {
+            const tiles = mockTiles(144, mockTestCard);
+            return [
+                { delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.INIT },
+                { delay: MOCK_PACKET_DELAY_MS, command: PrinterCommand.DATA, payload: tiles.slice(0, DUMP_DATA_CHUNK) },
+                { delay: MOCK_PACKET_DELAY_MS, marker: ABORT_MARKER },
+                ...mockPrintSteps(tiles, { exposure: 0x60 })
+            ];
+        }
+    }
+};
+
+class MockAdapterDevice {
+    // version overrides the firmware family's [major, minor, patch]
+    constructor({ firmware = 'new', script = 'camera', speed = 1, serialNumber = null, version = null } = {}) {
+        const info = MOCK_FIRMWARE[firmware] || MOCK_FIRMWARE.new;
+        this.firmware = MOCK_FIRMWARE[firmware] ? firmware : 'new';
+        this.script = MOCK_SCRIPTS[script] ? script : 'camera';
+        this.speed = speed;  // Divides script delays, Infinity plays without pauses
+
+        // USBDevice fields read by Serial
+        this.vendorId = info.vendorId;
+        this.productId = info.productId;
+        this.productName = info.name;
+        this.serialNumber = serialNumber || `MOCK-${this.firmware.toUpperCase()}`;
+        [this.deviceVersionMajor, this.deviceVersionMinor, this.deviceVersionSubminor] = version || info.version;
+        this.opened = false;
+        this.configuration = null;
+        this.interfaces = [{
+            interfaceNumber: 0,
+            alternates: [{
+                interfaceClass: 0xFF,
+                endpoints: info.endpoints.map(([endpointNumber, direction]) => ({ endpointNumber, direction }))
+            }]
+        }];
+
+        // Emulated firmware state
+        this.voltage = 3.3;
+        this.led = null;
+        this.printerMode = false;  // Firmware printer mode: the adapter forwards packets
+        this.linkMode = false;     // Plain link mode: the "Game Boy" exchanges raw bytes
+        this.linkQueue = [];       // Game Boy bytes ready to be clocked out in link mode
+        this.linkWaiting = 0;      // Exchanges waiting for the Game Boy to send
+        this.linkPendingReplies = [];  // Host bytes of those waiting exchanges
+        this.linkAck = null;
+        this.printerReplies = [];  // { command, ack, status } the host answered per packet in link mode
+        this.pending = [];  // Bytes waiting to be read from the IN endpoint
+        this.readers = [];  // transferIn calls waiting for data
+        this.timer = null;
+    }
+
+    async open() {
+        this.opened = true;
+    }
+
+    async close() {
+        this.detach('The device was closed.');
+    }
+
+    // Stop everything and reject transfers that are still waiting, like a real device
+    detach(message) {
+        this.stopPrinter();
+        this.opened = false;
+        this.readers.forEach(reader => reader.reject(new Error(message)));
+        this.readers = [];
+    }
+
+    async reset() {
+        this.stopPrinter();
+        this.pending = [];
+    }
+
+    async selectConfiguration(value) {
+        this.configuration = { configurationValue: value, interfaces: this.interfaces };
+    }
+
+    async claimInterface() { }
+
+    async releaseInterface() { }
+
+    async selectAlternateInterface() { }
+
+    // Old firmware: CDC SET_CONTROL_LINE_STATE, value 0 = stop, 1 = start
+    async controlTransferOut(setup) {
+        if (setup.request === 0x22 && setup.value === 0x00) {
+            this.stopPrinter();
+        } else if (setup.request === 0x22 && setup.value === 0x01) {
+            // The reconfigurable firmware starts out in link mode
+            this.startLink();
+        }
+        return { status: 'ok' };
+    }
+
+    async transferOut(endpoint, data) {
+        this.assertOpen();
+        const bytes = Array.from(data);
+
+        if (this.firmware === 'new' && endpoint === 1) {
+            this.handleCommand(bytes);
+        } else if (this.isMagicPacket(bytes)) {
+            this.handleMagicPacket(bytes);
+        } else if (this.linkMode && bytes.length === 1) {
+            this.exchangeLink(bytes[0]);
+        }
+        // Anything else is link cable data, which printer mode ignores
+        return { status: 'ok', bytesWritten: bytes.length };
+    }
+
+    async transferIn(endpoint, length) {
+        this.assertOpen();
+        if (this.pending.length > 0) {
+            return this.takeIn(length);
+        }
+        return new Promise((resolve, reject) => {
+            this.readers.push({ length, resolve, reject });
+        });
+    }
+
+    assertOpen() {
+        if (!this.opened) throw new Error('The device must be opened first.');
+    }
+
+    isMagicPacket(bytes) {
+        return bytes.length >= 36 && MAGIC_PREFIX.every((b, i) => bytes[i] === b);
+    }
+
+    // New firmware command endpoint
+    handleCommand(bytes) {
+        switch (bytes[0]) {
+            case NEW_CMD.SET_VOLTAGE_5V:
+                this.voltage = 5;
+                break;
+            case NEW_CMD.ENTER_GB_PRINTER:
+                this.startPrinter();
+                break;
+            case NEW_CMD.SET_MODE:
+                if (bytes[1] === NEW_CMD.MODE_GB_LINK) this.startLink();
+                break;
+            case NEW_CMD.CANCEL:
+                this.stopPrinter();
+                break;
+            default:
+                console.log(`Mock adapter: ignoring command 0x${bytes[0].toString(16)}`);
+        }
+    }
+
+    // Magic packets: "V5V0" voltage switch, "LEDS" LED color, "PRNT" printer mode (old firmware)
+    handleMagicPacket(bytes) {
+        const suffix = String.fromCharCode(...bytes.slice(32, 36));
+        if (suffix === 'PRNT') {
+            this.queueIn([MOCK_PRINTER_ACK]);
+            this.startPrinter();
+            return;
+        }
+        if (suffix === 'V5V0') {
+            this.voltage = 5;
+        } else if (suffix === 'LEDS') {
+            this.led = { r: bytes[36], g: bytes[37], b: bytes[38], on: bytes[39] === 1 };
+        }
+        // In printer mode every byte read is printer data, so no ack there
+        if (!this.printerMode) {
+            this.queueIn([MOCK_MAGIC_ACK]);
+        }
+    }
+
+    startPrinter() {
+        this.stopPrinter();
+        this.printerMode = true;
+        // The firmware announces itself with a reset marker, then the Game Boy starts sending
+        this.play([{ delay: MOCK_PACKET_DELAY_MS * 5, marker: [0xFF] }, ...MOCK_SCRIPTS[this.script].steps()],
+            step => this.queueIn(step.marker || mockPacket(step.command, step.payload, step.compression)));
+        console.log(`Mock adapter: printer mode, playing "${MOCK_SCRIPTS[this.script].name}"`);
+    }
+
+    // Link mode: the Game Boy sends raw packets and the host has to answer like a printer
+    startLink() {
+        this.stopPrinter();
+        this.linkMode = true;
+        this.play(MOCK_SCRIPTS[this.script].steps(), step => {
+            if (step.marker === ABORT_MARKER) {
+                this.sendLink(mockRawPacket(PrinterCommand.BREAK));
+            } else if (step.marker) {
+                // Instead of waiting for a print marker the Game Boy polls the printer's status
+                if (step.marker[0] === 0xFE) this.sendLink(mockRawPacket(PrinterCommand.INQUIRY));
+            } else {
+                this.sendLink(mockRawPacket(step.command, step.payload, step.compression));
+            }
+        });
+        console.log(`Mock adapter: link mode, playing "${MOCK_SCRIPTS[this.script].name}"`);
+    }
+
+    // Run script steps one after another, keeping their delays
+    play(steps, onStep) {
+        let index = 0;
+        const next = () => {
+            if (index >= steps.length) {
+                this.timer = null;
+                return;
+            }
+            const step = steps[index++];
+            this.timer = setTimeout(() => {
+                onStep(step);
+                next();
+            }, step.delay / this.speed);
+        };
+        next();
+    }
+
+    stopPrinter() {
+        this.printerMode = false;
+        this.linkMode = false;
+        this.linkQueue = [];
+        this.linkWaiting = 0;
+        this.linkPendingReplies = [];
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Game Boy clocks out a raw packet; the last two bytes collect the printer's answers
+    sendLink(packet) {
+        const command = packet[2];
+        packet.forEach((byte, i) => {
+            const role = i === packet.length - 2 ? 'ack' : i === packet.length - 1 ? 'status' : null;
+            this.linkQueue.push({ byte, command, role });
+        });
+        while (this.linkWaiting > 0 && this.linkQueue.length > 0) {
+            this.linkWaiting--;
+            this.queueIn([this.linkQueue[0].byte]);
+            this.linkReply(this.linkQueue.shift(), this.linkPendingReplies.shift());
+        }
+    }
+
+    // One link transfer: the host's byte goes out while the Game Boy's next byte comes in
+    exchangeLink(reply) {
+        if (this.linkQueue.length === 0) {
+            // Nothing to send yet: the transfer completes once the Game Boy clocks
+            this.linkWaiting++;
+            this.linkPendingReplies.push(reply);
+            return;
+        }
+        const entry = this.linkQueue.shift();
+        this.queueIn([entry.byte]);
+        this.linkReply(entry, reply);
+    }
+
+    linkReply(entry, reply) {
+        if (entry.role === 'ack') {
+            this.linkAck = reply;
+        } else if (entry.role === 'status') {
+            this.printerReplies.push({ command: entry.command, ack: this.linkAck, status: reply });
+            if (this.printerReplies.length > MOCK_MAX_REPLIES) this.printerReplies.shift();
+        }
+    }
+
+    queueIn(bytes) {
+        this.pending.push(...bytes);
+        while (this.readers.length > 0 && this.pending.length > 0) {
+            const reader = this.readers.shift();
+            reader.resolve(this.takeIn(reader.length));
+        }
+    }
+
+    // USBInTransferResult holding up to length bytes
+    takeIn(length) {
+        const bytes = new Uint8Array(this.pending.splice(0, length));
+        return { status: 'ok', data: new DataView(bytes.buffer) };
+    }
+}
+
+// navigator.usb stand-in that offers a single simulated adapter, with its connect/disconnect events
+class MockUSB extends EventTarget {
+    constructor(options = {}) {
+        super();
+        mockAdapterCount++;
+        this.options = {
+            serialNumber: `MOCK-${options.firmware === 'old' ? 'OLD' : 'NEW'}-${mockAdapterCount}`,
+            ...options
+        };
+        this.device = new MockAdapterDevice(this.options);
+        this.plugged = true;
+    }
+
+    async requestDevice() {
+        if (!this.plugged) throw new Error('No device selected.');
+        return this.device;
+    }
+
+    async getDevices() {
+        return this.plugged ? [this.device] : [];
+    }
+
+    // Pull the cable: open transfers fail and a disconnect event fires
+    unplug() {
+        if (!this.plugged) return;
+        this.plugged = false;
+        this.device.detach('The device was disconnected.');
+        this.dispatchDeviceEvent('disconnect', this.device);
+    }
+
+    // Plug it back in: the browser sees a new device object for the same adapter
+    plug() {
+        if (this.plugged) return;
+        this.device = new MockAdapterDevice(this.options);
+        this.plugged = true;
+        this.dispatchDeviceEvent('connect', this.device);
+    }
+
+    dispatchDeviceEvent(type, device) {
+        const event = new Event(type);
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+// Simulated adapter options from ?mock=new|old[&script=...], or null
+function mockOptionsFromUrl(search = location.search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('mock')) return null;
+    return {
+        firmware: params.get('mock') === 'old' ? 'old' : 'new',
+        script: params.get('script') || 'camera'
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * Display Palettes
+ * Maps the printer's 4 shades (0 = lightest ... 3 = darkest) to RGB colors.
+ * Presets are built in; custom palettes are kept in localStorage.
+ */
+
+const PALETTE_PRESETS = [
+    {
+        id: 'grayscale',
+        name: 'Grayscale (Printer)',
+        colors: [[255, 255, 255], [170, 170, 170], [85, 85, 85], [0, 0, 0]]
+    },
+    {
+        id: 'dmg',
+        name: 'DMG Green',
+        colors: [[155, 188, 15], [139, 172, 15], [48, 98, 48], [15, 56, 15]]
+    },
+    {
+        id: 'pocket',
+        name: 'Game Boy Pocket',
+        colors: [[196, 207, 161], [139, 149, 109], [77, 83, 60], [31, 31, 31]]
+    },
+    {
+        id: 'sgb-1a',
+        name: 'Super Game Boy 1-A',
+        colors: [[248, 232, 200], [216, 144, 72], [168, 40, 32], [48, 24, 80]]
+    },
+    {
+        id: 'sgb-2a',
+        name: 'Super Game Boy 2-A',
+        colors: [[240, 200, 160], [192, 136, 72], [40, 120, 0], [0, 0, 0]]
+    },
+    {
+        id: 'sgb-3a',
+        name: 'Super Game Boy 3-A',
+        colors: [[248, 208, 176], [120, 192, 120], [104, 136, 64], [88, 56, 32]]
+    },
+    {
+        id: 'sgb-4a',
+        name: 'Super Game Boy 4-A',
+        colors: [[240, 168, 104], [120, 168, 248], [208, 0, 208], [0, 0, 120]]
+    }
+];
+
+const DEFAULT_PALETTE_ID = 'grayscale';
+const CUSTOM_PALETTES_KEY = 'customPalettes';
+const SELECTED_PALETTE_KEY = 'palette';
+
+function loadCustomPalettes() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_PALETTES_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCustomPalettes(palettes) {
+    localStorage.setItem(CUSTOM_PALETTES_KEY, JSON.stringify(palettes));
+}
+
+function getPalettes() {
+    return [...PALETTE_PRESETS, ...loadCustomPalettes()];
+}
+
+// Falls back to the printer grayscale for unknown ids
+function findPalette(id) {
+    return getPalettes().find(p => p.id === id) || PALETTE_PRESETS[0];
+}
+
+// Add or replace a custom palette, returns the stored palette
+function storeCustomPalette(name, colors, id) {
+    const palettes = loadCustomPalettes();
+    const palette = { id: id || `custom-${Date.now()}`, name, colors, custom: true };
+    const existing = palettes.findIndex(p => p.id === palette.id);
+    if (existing >= 0) {
+        palettes[existing] = palette;
+    } else {
+        palettes.push(palette);
+    }
+    saveCustomPalettes(palettes);
+    return palette;
+}
+
+function removeCustomPalette(id) {
+    saveCustomPalettes(loadCustomPalettes().filter(p => p.id !== id));
+}
+
+function rgbToHex(color) {
+    return '#' + color.map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+}
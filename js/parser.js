@@ -0,0 +1,390 @@
+/**
+ * Game Boy Printer Stream Parser
+ * Turns the byte stream sent by the firmware in printer mode into printer
+ * packets and finished prints. Has no DOM access, so it also runs in a web
+ * worker (importScripts) or in Node (require).
+ *
+ * Firmware stream: [command, compression, length low, length high, payload...]
+ * per packet, plus single-byte markers between packets:
+ *   0xFF - reset / ready, 0xFE - print carried out, "ABORTPRINT" - print aborted
+ *
+ * Events (subscribe with on(event, handler)):
+ *   reset   - {}                                   reset marker received
+ *   command - { command }                          packet header recognized
+ *   packet  - { command, compression, data, bufferLength, params }
+ *   sheet   - { count }                            sheet printed, waiting for the rest of the strip
+ *   print   - { sheets: [{ data: Uint8Array, params }], integrity }   complete (stitched) print
+ *   abort   - { reason: 'marker' | 'timeout', discarded }
+ *   desync  - { reason: 'compression' | 'length', value }
+ *   reject  - { reason: 'checksum' | 'length' }        packet dropped by a checksummed source
+ *
+ * The firmware stream itself carries no checksums. Sources that see the raw
+ * packets (browser printer emulation, raw packet logs) verify them and report
+ * each result with recordCheck(). The integrity report of a print counts:
+ *   { packets, checksummed, rejected, resyncs, rleOverruns }
+ */
+
+// Printer commands
+const PrinterCommand = {
+    INIT: 0x01,
+    PRINT: 0x02,
+    DATA: 0x04,
+    BREAK: 0x08,
+    INQUIRY: 0x0F
+};
+
+// Parser states for structured firmware data
+const ParserState = {
+    WAIT_START: 0,
+    WAIT_COMMAND: 1,
+    WAIT_COMPRESSION: 2,
+    WAIT_LEN_LOW: 3,
+    WAIT_LEN_HIGH: 4,
+    READ_DATA: 5
+};
+
+// PRINT palette byte: 2 bits per color index, index 0 in bits 0-1 ... index 3 in bits 6-7.
+// 0xE4 (11 10 01 00) is the identity mapping; games sending 0x00 mean the same.
+const DEFAULT_PRINT_PALETTE = 0xE4;
+
+// PRINT exposure byte (0x00-0x7F): 0x40 is normal darkness, lower prints lighter, higher darker
+const DEFAULT_PRINT_EXPOSURE = 0x40;
+
+// Max valid GB Printer data packet is 640 bytes; much larger lengths mean we are desynchronized
+const MAX_PACKET_LENGTH = 1000;
+
+// Decompressed size of a full DATA packet (two tile rows)
+const MAX_DATA_LENGTH = 640;
+
+// "ABORTPRINT" in ASCII, sent by the firmware when the Game Boy cancels a print
+const ABORT_MARKER = [0x41, 0x42, 0x4F, 0x52, 0x54, 0x50, 0x52, 0x49, 0x4E, 0x54];
+
+// Discard a half-received print if no data arrives for this long
+const PRINT_TIMEOUT_MS = 2000;
+
+// Flush a partially stitched print if the Game Boy goes quiet before finishing it
+const STITCH_TIMEOUT_MS = 5000;
+
+// PRINT payload: [sheets, margins (upper nibble = before, lower = after), palette, exposure]
+function parsePrintParams(data) {
+    const margins = data[1] || 0;
+    return {
+        sheets: data[0] || 0,
+        marginBefore: margins >> 4,
+        marginAfter: margins & 0x0F,
+        palette: data[2] || DEFAULT_PRINT_PALETTE,
+        exposure: data.length > 3 ? data[3] & 0x7F : DEFAULT_PRINT_EXPOSURE
+    };
+}
+
+class PrinterParser {
+    constructor() {
+        this.listeners = {};
+        this.printData = [];
+
+        this.parserState = ParserState.WAIT_COMMAND;
+        this.currentCommand = 0;
+        this.currentCompression = 0;
+        this.currentLength = 0;
+        this.currentDataIndex = 0;
+        this.currentPacketData = [];
+        this.lastDataTime = 0;  // Timestamp of last data received
+        this.recentBytes = [];  // Sliding window for detecting the "ABORTPRINT" marker
+        this.printParams = null;  // Parameters of the last PRINT command
+        this.pendingSheets = [];  // Printed sheets waiting to be joined (post-margin of 0)
+        this.resetIntegrity();
+    }
+
+    // Start counting packets and errors for the next print
+    resetIntegrity() {
+        this.integrity = { packets: 0, checksummed: 0, rejected: 0, resyncs: 0, rleOverruns: 0 };
+    }
+
+    // Result of a checksum or length check done by the source: 'ok', 'checksum' or 'length'
+    recordCheck(result) {
+        if (result === 'ok') {
+            this.integrity.checksummed++;
+            return;
+        }
+        this.integrity.rejected++;
+        this.emit('reject', { reason: result });
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, detail = {}) {
+        (this.listeners[event] || []).forEach(handler => handler(detail));
+    }
+
+    // Feed a chunk of bytes received from the firmware; now: when they arrived (replays pass the recorded time)
+    push(bytes, now = Date.now()) {
+        this.lastDataTime = now;
+        for (let i = 0; i < bytes.length; i++) {
+            this.processByte(bytes[i]);
+        }
+    }
+
+    // Call while no data arrives: drops stale partial prints and finishes open strips
+    checkIdle(now = Date.now()) {
+        if (this.lastDataTime === 0) return;
+        const timeSinceLastData = now - this.lastDataTime;
+
+        // Stale partial data means the print was canceled
+        if (this.printData.length > 0 && timeSinceLastData > PRINT_TIMEOUT_MS) {
+            console.log(`Print timeout: discarding ${this.printData.length} bytes of incomplete data`);
+            const discarded = this.printData.length;
+            this.printData = [];
+            this.parserState = ParserState.WAIT_COMMAND;
+            this.currentPacketData = [];
+            if (this.pendingSheets.length === 0) this.resetIntegrity();
+            this.emit('abort', { reason: 'timeout', discarded });
+        }
+
+        // Game Boy never sent the end of a multi-part print: finish with what we have
+        if (this.pendingSheets.length > 0 && timeSinceLastData > STITCH_TIMEOUT_MS) {
+            console.log(`Stitch timeout: finishing ${this.pendingSheets.length} pending sheet(s)`);
+            this.flush();
+        }
+    }
+
+    processByte(byte) {
+        // Keep a sliding window of recent bytes to detect the abort sequence
+        this.recentBytes.push(byte);
+        if (this.recentBytes.length > ABORT_MARKER.length) {
+            this.recentBytes.shift();
+        }
+
+        if (this.recentBytes.length === ABORT_MARKER.length &&
+            this.recentBytes.every((b, i) => b === ABORT_MARKER[i])) {
+            console.log(`ABORTPRINT marker received: discarding ${this.printData.length} bytes, resetting parser`);
+            const discarded = this.printData.length;
+            // Sheets that already came out of the printer are kept
+            this.flush();
+            this.printData = [];
+            this.printParams = null;
+            this.currentPacketData = [];
+            this.recentBytes = [];
+            this.parserState = ParserState.WAIT_COMMAND;
+            this.resetIntegrity();
+            this.emit('abort', { reason: 'marker', discarded });
+            return;
+        }
+
+        // IMPORTANT: Only check for 0xFF/0xFE markers in WAIT_COMMAND state!
+        // These bytes can appear as normal bytes in image data
+        switch (this.parserState) {
+            case ParserState.WAIT_START:
+                // Waiting for 0xFF start marker
+                break;
+
+            case ParserState.WAIT_COMMAND:
+                if (byte === 0xFF) {
+                    // Start/reset marker from firmware
+                    // Clear all buffers (handles both initial connect and print abort)
+                    if (this.printData.length > 0) {
+                        console.log(`Reset marker: discarding ${this.printData.length} bytes`);
+                    }
+                    this.flush();
+                    this.printData = [];
+                    this.printParams = null;
+                    this.currentPacketData = [];
+                    this.resetIntegrity();
+                    this.emit('reset');
+                    return;
+                }
+
+                if (byte === 0xFE) {
+                    // Print marker - queue the printed sheet, finish once the strip ends
+                    if (this.printData.length > 0 || this.printParams) {
+                        this.pendingSheets.push({ data: this.printData, params: this.printParams });
+                    }
+                    const params = this.printParams;
+                    this.printData = [];
+                    this.printParams = null;
+
+                    if (!params || params.marginAfter > 0) {
+                        this.flush();
+                    } else if (this.pendingSheets.length > 0) {
+                        this.emit('sheet', { count: this.pendingSheets.length });
+                    }
+                    return;
+                }
+
+                // Skip sync bytes
+                if (byte === 0x88 || byte === 0x33) {
+                    return;
+                }
+
+                // Only accept valid printer commands - reject everything else
+                // This prevents image data from being misinterpreted as commands
+                if (!Object.values(PrinterCommand).includes(byte)) {
+                    return;
+                }
+
+                this.currentCommand = byte;
+                this.parserState = ParserState.WAIT_COMPRESSION;
+                if (this.currentCommand === PrinterCommand.INIT) {
+                    this.printData = [];
+                }
+                this.emit('command', { command: byte });
+                break;
+
+            case ParserState.WAIT_COMPRESSION:
+                // Compression byte should only be 0x00 (uncompressed) or 0x01 (RLE)
+                if (byte !== 0x00 && byte !== 0x01) {
+                    this.parserState = ParserState.WAIT_COMMAND;
+                    this.integrity.resyncs++;
+                    this.emit('desync', { reason: 'compression', value: byte });
+                    return;
+                }
+                this.currentCompression = byte;
+                this.parserState = ParserState.WAIT_LEN_LOW;
+                break;
+
+            case ParserState.WAIT_LEN_LOW:
+                this.currentLength = byte;
+                this.parserState = ParserState.WAIT_LEN_HIGH;
+                break;
+
+            case ParserState.WAIT_LEN_HIGH:
+                this.currentLength |= (byte << 8);
+                this.currentDataIndex = 0;
+                this.currentPacketData = [];
+
+                if (this.currentLength > MAX_PACKET_LENGTH) {
+                    console.warn(`Invalid packet length ${this.currentLength} - resetting parser`);
+                    this.parserState = ParserState.WAIT_COMMAND;
+                    this.integrity.resyncs++;
+                    this.emit('desync', { reason: 'length', value: this.currentLength });
+                    return;
+                }
+
+                if (this.currentLength > 0) {
+                    this.parserState = ParserState.READ_DATA;
+                } else {
+                    // No data in this packet (e.g., INQUIRY, INIT with no payload)
+                    this.processPacket();
+                    this.parserState = ParserState.WAIT_COMMAND;
+                }
+                break;
+
+            case ParserState.READ_DATA:
+                this.currentPacketData.push(byte);
+                this.currentDataIndex++;
+
+                if (this.currentDataIndex >= this.currentLength) {
+                    this.processPacket();
+                    this.parserState = ParserState.WAIT_COMMAND;
+                }
+                break;
+        }
+    }
+
+    processPacket() {
+        let params = null;
+        this.integrity.packets++;
+
+        switch (this.currentCommand) {
+            case PrinterCommand.INIT:
+                // INIT signals the start of a new print session
+                // Clear any stale data from a canceled print
+                if (this.printData.length > 0) {
+                    console.log(`INIT: clearing ${this.printData.length} bytes from previous incomplete print`);
+                }
+                this.printData = [];
+                this.currentPacketData = [];
+                break;
+
+            case PrinterCommand.DATA:
+                if (this.currentCompression === 0) {
+                    this.printData.push(...this.currentPacketData);
+                } else {
+                    this.printData.push(...this.decompressRLE(this.currentPacketData));
+                }
+                console.log(`Print data accumulated: ${this.printData.length} bytes total`);
+                break;
+
+            case PrinterCommand.PRINT:
+                params = this.printParams = parsePrintParams(this.currentPacketData);
+                console.log('Print parameters:', this.printParams);
+                break;
+
+            case PrinterCommand.INQUIRY:
+                // Nothing to do for inquiry - just a status check
+                break;
+        }
+
+        this.emit('packet', {
+            command: this.currentCommand,
+            compression: this.currentCompression,
+            data: this.currentPacketData,
+            bufferLength: this.printData.length,
+            params
+        });
+    }
+
+    // Finish any queued sheets as one stitched print
+    flush() {
+        if (this.pendingSheets.length === 0) return;
+        const sheets = this.pendingSheets.map(sheet => ({
+            data: Uint8Array.from(sheet.data),
+            params: sheet.params
+        }));
+        const integrity = this.integrity;
+        this.pendingSheets = [];
+        this.resetIntegrity();
+        this.emit('print', { sheets, integrity });
+    }
+
+    // Overruns (a run cut off by the end of the packet, or more than one packet's
+    // worth of output) are decoded as far as possible and counted in the integrity report
+    decompressRLE(data) {
+        const result = [];
+        let i = 0;
+        let overrun = false;
+
+        while (i < data.length) {
+            const control = data[i++];
+
+            if (control & 0x80) {
+                const count = (control & 0x7F) + 2;
+                if (i >= data.length) overrun = true;
+                const value = data[i++] || 0;
+                for (let j = 0; j < count; j++) {
+                    result.push(value);
+                }
+            } else {
+                const count = control + 1;
+                if (i + count > data.length) overrun = true;
+                for (let j = 0; j < count && i < data.length; j++) {
+                    result.push(data[i++]);
+                }
+            }
+        }
+
+        if (overrun || result.length > MAX_DATA_LENGTH) {
+            console.warn(`RLE overrun: ${data.length} bytes decoded to ${result.length}`);
+            this.integrity.rleOverruns++;
+        }
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PrinterParser,
+        parsePrintParams,
+        PrinterCommand,
+        ParserState,
+        DEFAULT_PRINT_PALETTE,
+        DEFAULT_PRINT_EXPOSURE
+    };
+}
@@ -0,0 +1,153 @@
+/**
+ * Minimal PDF Writer
+ * Builds a PDF with pictures, one line captions and cut lines entirely in the
+ * browser. Pictures are stored losslessly as indexed color (prints have a
+ * handful of colors), so they need no compression library. Captions use the
+ * built-in Helvetica font, which covers Latin-1.
+ *
+ * Coordinates are millimetres from the top-left corner of the page.
+ */
+
+const PT_PER_MM = 72 / 25.4;
+
+// PDF number with at most 2 decimals
+function pdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Text for a PDF string literal: escaped, characters outside Latin-1 as '?'
+function pdfString(text) {
+    return '(' + Array.from(text, c => (c.charCodeAt(0) > 0xFF ? '?' : c))
+        .join('')
+        .replace(/[\\()]/g, c => '\\' + c) + ')';
+}
+
+// Strings of the PDF structure and Latin-1 text as bytes
+function latin1Bytes(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0) & 0xFF);
+}
+
+// RGBA pixels as a color table and packed indices (1, 2, 4 or 8 bits per pixel, rows padded to bytes)
+function indexedImage(pixels, width, height) {
+    const colors = new Map();
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+        const rgb = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+        if (!colors.has(rgb)) {
+            if (colors.size === 256) throw new Error('PDF pictures can use at most 256 colors');
+            colors.set(rgb, colors.size);
+        }
+        indices[i] = colors.get(rgb);
+    }
+
+    const bits = [1, 2, 4, 8].find(b => colors.size <= 1 << b);
+    const rowBytes = Math.ceil(width * bits / 8);
+    const data = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const bit = x * bits;
+            data[y * rowBytes + (bit >> 3)] |= indices[y * width + x] << (8 - bits - (bit & 7));
+        }
+    }
+    const table = [...colors.keys()]
+        .map(rgb => rgb.toString(16).padStart(6, '0'))
+        .join('');
+    return { bits, colorCount: colors.size, table, data };
+}
+
+class PdfWriter {
+    constructor() {
+        this.pages = [];
+    }
+
+    // Returns the page to draw on; width and height in mm
+    addPage(width, height) {
+        const page = { width, height, content: [], images: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    // RGBA pixels of pxWidth x pxHeight drawn into the rectangle, without smoothing
+    drawImage(page, pixels, pxWidth, pxHeight, x, y, width, height) {
+        page.images.push({ ...indexedImage(pixels, pxWidth, pxHeight), width: pxWidth, height: pxHeight });
+        const name = `/Im${page.images.length - 1}`;
+        page.content.push(`q ${pdfNumber(width * PT_PER_MM)} 0 0 ${pdfNumber(height * PT_PER_MM)} ` +
+            `${pdfNumber(x * PT_PER_MM)} ${pdfNumber((page.height - y - height) * PT_PER_MM)} cm ${name} Do Q`);
+    }
+
+    // One line of text; y is the baseline, size in points
+    drawText(page, text, x, y, size = 8) {
+        page.content.push(`BT /F1 ${size} Tf ${pdfNumber(x * PT_PER_MM)} ${pdfNumber((page.height - y) * PT_PER_MM)} Td ` +
+            `${pdfString(text)} Tj ET`);
+    }
+
+    // Thin dashed gray outline, e.g. a cut line
+    drawCutLine(page, x, y, width, height) {
+        page.content.push(`q 0.6 G 0.4 w [2 2] 0 d ${pdfNumber(x * PT_PER_MM)} ${pdfNumber((page.height - y - height) * PT_PER_MM)} ` +
+            `${pdfNumber(width * PT_PER_MM)} ${pdfNumber(height * PT_PER_MM)} re S Q`);
+    }
+
+    toBytes() {
+        // Objects as lists of parts (strings or bytes); ids are positions + 1
+        const objects = [];
+        const add = parts => objects.push(parts);
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontId = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+
+        const pageIds = this.pages.map(page => {
+            const imageIds = page.images.map(image => add([
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace [/Indexed /DeviceRGB ${image.colorCount - 1} <${image.table}>] ` +
+                `/BitsPerComponent ${image.bits} /Interpolate false /Length ${image.data.length} >>\nstream\n`,
+                image.data,
+                '\nendstream'
+            ]));
+            const content = latin1Bytes(page.content.join('\n'));
+            const contentId = add([`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+            const xObjects = imageIds.map((id, i) => `/Im${i} ${id} 0 R`).join(' ');
+            return add([
+                `<< /Type /Page /Parent ${pagesId} 0 R ` +
+                `/MediaBox [0 0 ${pdfNumber(page.width * PT_PER_MM)} ${pdfNumber(page.height * PT_PER_MM)}] ` +
+                `/Resources << /Font << /F1 ${fontId} 0 R >> /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`
+            ]);
+        });
+        objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+        objects[pagesId - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+
+        const chunks = [];
+        let offset = 0;
+        const write = part => {
+            const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+            chunks.push(bytes);
+            offset += bytes.length;
+        };
+
+        // The binary comment line tells transfer tools the file is not text
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        const offsets = objects.map((parts, i) => {
+            const start = offset;
+            write(`${i + 1} 0 obj\n`);
+            parts.forEach(write);
+            write('\nendobj\n');
+            return start;
+        });
+
+        const xref = offset;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(start => write(`${String(start).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(offset);
+        let position = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        });
+        return bytes;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/pdf' });
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * Game Boy Printer Emulator
+ * Speaks the printer's byte-level link protocol for adapters in plain link
+ * mode (NEW_CMD.MODE_GB_LINK), where the firmware has no printer mode of its
+ * own. Every byte the Game Boy clocks out is answered with the byte to shift
+ * back on the next transfer (see exchange()).
+ *
+ * Packet from the Game Boy:
+ *   0x88 0x33 | command | compression | length (LE) | data | checksum (LE) | 0x00 0x00
+ * The printer answers 0x81 (alive) during the first trailing byte and its
+ * status byte during the second; every other byte is answered with 0x00.
+ *
+ * Accepted packets are passed on in the firmware's stream format
+ * ([command, compression, length, payload] plus 0xFF/0xFE/"ABORTPRINT"
+ * markers), so they go through the regular PrinterParser. The result of every
+ * checksum and length check goes to onCheck ('ok', 'checksum' or 'length'),
+ * meant for PrinterParser.recordCheck().
+ */
+
+// Status byte bits
+const PrinterStatus = {
+    CHECKSUM_ERROR: 0x01,
+    BUSY: 0x02,
+    IMAGE_FULL: 0x04,
+    UNPROCESSED: 0x08,
+    PACKET_ERROR: 0x10,
+    PAPER_JAM: 0x20,
+    OTHER_ERROR: 0x40,
+    LOW_BATTERY: 0x80
+};
+
+const EmulatorState = {
+    MAGIC_1: 0,
+    MAGIC_2: 1,
+    COMMAND: 2,
+    COMPRESSION: 3,
+    LEN_LOW: 4,
+    LEN_HIGH: 5,
+    DATA: 6,
+    CHECKSUM_LOW: 7,
+    CHECKSUM_HIGH: 8,
+    ACK: 9,
+    STATUS: 10
+};
+
+// Answer during the first trailing byte of every packet
+const PRINTER_ALIVE = 0x81;
+
+// A DATA packet holds at most two tile rows
+const PRINTER_MAX_DATA = 0x280;
+
+// Print buffer size: one 160x144 image
+const PRINTER_BUFFER_SIZE = 0x1680;
+
+// Time the printer reports busy per printed tile row
+const PRINTER_BUSY_MS_PER_ROW = 100;
+
+// Decompressed size of Game Boy Printer RLE data
+function rleLength(data) {
+    let length = 0;
+    let i = 0;
+    while (i < data.length) {
+        const control = data[i++];
+        if (control & 0x80) {
+            length += (control & 0x7F) + 2;
+            i++;
+        } else {
+            const count = Math.min(control + 1, data.length - i);
+            length += count;
+            i += count;
+        }
+    }
+    return length;
+}
+
+class PrinterEmulator {
+    // onStream(bytes): receives the firmware-style byte stream of accepted packets
+    constructor(onStream, onCheck = () => { }) {
+        this.onStream = onStream;
+        this.onCheck = onCheck;
+        this.state = EmulatorState.MAGIC_1;
+        this.bufferLength = 0;     // Decompressed bytes in the print buffer
+        this.busyUntil = 0;        // Printing until this time (ms)
+        this.checksumError = false;
+        this.packetError = false;
+        this.packet = null;
+    }
+
+    // The firmware's reset marker: the printer is ready
+    start() {
+        this.reset();
+        this.bufferLength = 0;
+        this.busyUntil = 0;
+        this.onStream([0xFF]);
+    }
+
+    // Drop a half-received packet, e.g. after the Game Boy went quiet
+    reset() {
+        this.state = EmulatorState.MAGIC_1;
+        this.packet = null;
+    }
+
+    status(now = Date.now()) {
+        let status = 0;
+        if (this.checksumError) status |= PrinterStatus.CHECKSUM_ERROR;
+        if (now < this.busyUntil) status |= PrinterStatus.BUSY;
+        if (this.bufferLength >= PRINTER_BUFFER_SIZE) status |= PrinterStatus.IMAGE_FULL;
+        if (this.bufferLength > 0) status |= PrinterStatus.UNPROCESSED;
+        if (this.packetError) status |= PrinterStatus.PACKET_ERROR;
+        return status;
+    }
+
+    // Take one byte from the Game Boy, returns the byte to send with the next transfer
+    exchange(byte, now = Date.now()) {
+        const packet = this.packet;
+
+        switch (this.state) {
+            case EmulatorState.MAGIC_1:
+                if (byte === 0x88) this.state = EmulatorState.MAGIC_2;
+                break;
+
+            case EmulatorState.MAGIC_2:
+                if (byte === 0x33) {
+                    this.packet = { command: 0, compression: 0, length: 0, data: [], checksum: 0 };
+                    this.state = EmulatorState.COMMAND;
+                } else if (byte !== 0x88) {
+                    this.state = EmulatorState.MAGIC_1;
+                }
+                break;
+
+            case EmulatorState.COMMAND:
+                packet.command = byte;
+                packet.checksum = byte;
+                this.state = EmulatorState.COMPRESSION;
+                break;
+
+            case EmulatorState.COMPRESSION:
+                packet.compression = byte;
+                packet.checksum += byte;
+                this.state = EmulatorState.LEN_LOW;
+                break;
+
+            case EmulatorState.LEN_LOW:
+                packet.length = byte;
+                packet.checksum += byte;
+                this.state = EmulatorState.LEN_HIGH;
+                break;
+
+            case EmulatorState.LEN_HIGH:
+                packet.length |= byte << 8;
+                packet.checksum += byte;
+                if (packet.length > PRINTER_MAX_DATA) {
+                    // Not a real packet: report it and wait for the next magic bytes
+                    console.warn(`Printer emulator: invalid packet length ${packet.length}`);
+                    this.packetError = true;
+                    this.onCheck('length');
+                    this.reset();
+                } else {
+                    this.state = packet.length > 0 ? EmulatorState.DATA : EmulatorState.CHECKSUM_LOW;
+                }
+                break;
+
+            case EmulatorState.DATA:
+                packet.data.push(byte);
+                packet.checksum += byte;
+                if (packet.data.length === packet.length) {
+                    this.state = EmulatorState.CHECKSUM_LOW;
+                }
+                break;
+
+            case EmulatorState.CHECKSUM_LOW:
+                packet.received = byte;
+                this.state = EmulatorState.CHECKSUM_HIGH;
+                break;
+
+            case EmulatorState.CHECKSUM_HIGH:
+                packet.received |= byte << 8;
+                this.processPacket(packet, now);
+                this.state = EmulatorState.ACK;
+                return PRINTER_ALIVE;
+
+            case EmulatorState.ACK:
+                this.state = EmulatorState.STATUS;
+                return this.status(now);
+
+            case EmulatorState.STATUS:
+                this.reset();
+                break;
+        }
+        return 0x00;
+    }
+
+    processPacket(packet, now) {
+        this.checksumError = (packet.checksum & 0xFFFF) !== packet.received;
+        if (this.checksumError) {
+            console.warn(`Printer emulator: checksum error in command 0x${packet.command.toString(16)}`);
+            this.onCheck('checksum');
+            return;
+        }
+        this.packetError = false;
+        this.onCheck('ok');
+
+        switch (packet.command) {
+            case PrinterCommand.INIT:
+                this.bufferLength = 0;
+                this.busyUntil = 0;
+                break;
+
+            case PrinterCommand.DATA:
+                if (now < this.busyUntil) return;
+                this.bufferLength += packet.compression ? rleLength(packet.data) : packet.data.length;
+                break;
+
+            case PrinterCommand.PRINT: {
+                const params = parsePrintParams(packet.data);
+                const rows = Math.ceil(this.bufferLength / (BYTES_PER_TILE * TILES_PER_ROW));
+                this.busyUntil = now + rows * Math.max(params.sheets, 1) * PRINTER_BUSY_MS_PER_ROW;
+                this.bufferLength = 0;
+                this.emitPacket(packet);
+                // The print is under way: tell the parser like the firmware does
+                this.onStream([0xFE]);
+                return;
+            }
+
+            case PrinterCommand.BREAK:
+                this.bufferLength = 0;
+                this.busyUntil = 0;
+                this.onStream(ABORT_MARKER);
+                return;
+
+            case PrinterCommand.INQUIRY:
+                break;
+
+            default:
+                this.packetError = true;
+                return;
+        }
+        this.emitPacket(packet);
+    }
+
+    emitPacket(packet) {
+        this.onStream([
+            packet.command,
+            packet.compression,
+            packet.data.length & 0xFF,
+            packet.data.length >> 8,
+            ...packet.data
+        ]);
+    }
+}
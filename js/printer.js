@@ -1,78 +1,178 @@
 /**
- * Game Boy Printer Protocol Implementation
- * Handles printer data from firmware (protocol is handled in firmware)
- * 
+ * Game Boy Printer Web Client
+ * Connects adapters through PrinterSession (js/session.js), one per adapter,
+ * and shows the prints of all of them in one gallery and history
+ * (protocol is handled in firmware)
+ *
  * Works with gb-link-firmware-reconfigurable in PRINTER MODE
  */
 
-// Printer mode magic sequence (must match firmware)
-const PRINTER_MODE_MAGIC = new Uint8Array([
-    0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE,
-    0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE,
-    0xDE, 0xAD, 0xBE, 0xEF, 0xDE, 0xAD, 0xBE, 0xEF,
-    0xDE, 0xAD, 0xBE, 0xEF, 0xDE, 0xAD, 0xBE, 0xEF,
-    0x50, 0x52, 0x4E, 0x54  // "PRNT"
-]);
-
-// Printer commands
-const PrinterCommand = {
-    INIT: 0x01,
-    PRINT: 0x02,
-    DATA: 0x04,
-    BREAK: 0x08,
-    INQUIRY: 0x0F
-};
-
-// Parser states for structured firmware data
-const ParserState = {
-    WAIT_START: 0,
-    WAIT_COMMAND: 1,
-    WAIT_COMPRESSION: 2,
-    WAIT_LEN_LOW: 3,
-    WAIT_LEN_HIGH: 4,
-    READ_DATA: 5
-};
-
-// Palette for 2bpp tiles (GB Camera style)
-const PALETTE = [
-    [255, 255, 255], // White (lightest)
-    [170, 170, 170], // Light gray
-    [85, 85, 85],    // Dark gray
-    [0, 0, 0]        // Black (darkest)
-];
+// Export options: nearest-neighbour upscale and the blank paper edge of a real printout
+const EXPORT_SETTINGS_KEY = 'exportSettings';
+const MAX_EXPORT_SCALE = 10;
+const PAPER_BORDER_PX = 16;
+
+// Layout sheets: pictures are upscaled to about this resolution for the printer
+const LAYOUT_PRINT_DPI = 300;
+
+// Gallery shown as separate prints or as one paper roll ('1')
+const ROLL_VIEW_KEY = 'rollView';
+
+// Where the printer protocol runs: 'firmware' (adapter printer mode) or 'browser' (PrinterEmulator over link mode)
+const PRINTER_EMULATION_KEY = 'printerEmulation';
+
+// Date and time for export file names: 20240131-154500
+function exportStamp(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+// One-line integrity report of a print; null for prints stored before reports existed
+function integritySummary(integrity) {
+    if (!integrity) return null;
+    const checksums = integrity.checksummed > 0 ? `${integrity.checksummed} checksums OK` : 'no checksums in stream';
+    return {
+        text: `${integrity.packets} packets · ${checksums} · ${integrity.rejected} rejected · ` +
+            `${integrity.resyncs} resyncs · ${integrity.rleOverruns} RLE overruns`,
+        warning: integrity.rejected > 0 || integrity.resyncs > 0 || integrity.rleOverruns > 0
+    };
+}
+
 
 class GameBoyPrinter {
     constructor() {
-        this.serial = null;
-        this.running = false;
-        this.printData = [];
-        this.totalBytesReceived = 0;
-        this.imageCount = 0;
-
-        // Parser state for firmware data stream
-        this.parserState = ParserState.WAIT_COMMAND;
-        this.currentCommand = 0;
-        this.currentCompression = 0;
-        this.currentLength = 0;
-        this.currentDataIndex = 0;
-        this.currentPacketData = [];
-        this.lastDataTime = 0;  // Timestamp of last data received
-        this.recentBytes = [];  // Buffer for detecting "RESET" marker from firmware
+        this.sessions = [];     // PrinterSession per connected adapter or running replay
+        this.adapterCount = 0;  // Names adapters that have no serial number
+        this.urlMock = mockOptionsFromUrl();  // ?mock=... makes Connect use the simulated adapter
 
         // UI elements
-        this.statusText = document.getElementById('status-text');
-        this.dataReceived = document.getElementById('data-received');
+        this.readyMessage = document.getElementById('ready-message');
+        this.sessionsBtn = document.getElementById('btn-show-sessions');
         this.canvasContainer = document.getElementById('canvas-container');
-        this.downloadAllBtn = document.getElementById('btn-download-all');
+        this.rollPanel = document.getElementById('roll-panel');
+        this.paperRoll = document.getElementById('paper-roll');
+        this.rollViewCheck = document.getElementById('roll-view');
+        this.rollViewCheck.checked = localStorage.getItem(ROLL_VIEW_KEY) === '1';
+        this.gallery = document.getElementById('print-gallery');
+        this.paletteSelect = document.getElementById('palette-select');
+        this.paletteNameInput = document.getElementById('palette-name');
+        this.paletteDeleteBtn = document.getElementById('btn-palette-delete');
+        this.paletteColorInputs = [0, 1, 2, 3].map(i => document.getElementById(`palette-color-${i}`));
+
+        // Gallery prints: { record, index, image (decoded shades), canvas, wrapper, editPanel, frameCheck, layoutCheck, rollCanvas }
+        this.prints = [];
+        // Section of the paper roll picked for tearing off: first and last print, or null for the whole roll
+        this.rollSelection = null;
+        this.frameTarget = null;  // Print waiting for a custom frame image to load
+        // Prints picked for an animated GIF, in playing order: { print, delay (ms) }
+        this.animationFrames = [];
+        this.animationPanel = document.getElementById('animation-panel');
+        this.animationTable = document.getElementById('animation-frames');
+        this.animationDelayInput = document.getElementById('animation-delay');
+        this.animationPaletteSelect = document.getElementById('animation-palette');
+        this.animationSaveBtn = document.getElementById('btn-animation-save');
+        // Prints picked for layout sheets, in gallery order (none picked: all prints)
+        this.layoutPrints = [];
+        this.layoutPanel = document.getElementById('layout-panel');
+        this.layoutTable = document.getElementById('layout-prints');
+        this.layoutSettings = this.loadLayoutSettings();
+        this.layoutPaperSelect = document.getElementById('layout-paper');
+        this.layoutSizeSelect = document.getElementById('layout-size');
+        this.layoutDateCheck = document.getElementById('layout-date');
+        this.layoutTitleCheck = document.getElementById('layout-title');
+        this.imageCount = 0;
+        // Gallery lanes by adapter ('' for imports and prints without one): { element, container }
+        this.lanes = new Map();
+        this.palette = findPalette(localStorage.getItem(SELECTED_PALETTE_KEY) || DEFAULT_PALETTE_ID);
+        this.exportSettings = this.loadExportSettings();
+        this.exportScaleSelect = document.getElementById('export-scale');
+        this.exportBorderCheck = document.getElementById('export-border');
+        this.exportPaletteSelect = document.getElementById('export-palette');
+        this.baudRateSelect = document.getElementById('serial-baud');
+        this.emulationSelect = document.getElementById('printer-emulation');
+        this.emulationSelect.value = localStorage.getItem(PRINTER_EMULATION_KEY) || 'firmware';
+        // Sends new prints to a local endpoint for other tools (js/bridge.js)
+        this.bridge = new PrintBridge((text, ok) => this.showBridgeStatus(text, ok));
+        this.bridgeEnabledCheck = document.getElementById('bridge-enabled');
+        this.bridgeUrlInput = document.getElementById('bridge-url');
+        this.bridgeStatus = document.getElementById('bridge-status');
+
+        // Print history (IndexedDB)
+        this.store = new PrintStore();
 
         this.bindEvents();
+        this.refreshPaletteControls();
+        this.refreshExportControls();
+        this.refreshMockControls();
+        this.refreshSerialControls();
+        this.refreshLayoutControls();
+        this.refreshBridgeControls();
+        this.loadHistory();
     }
 
     bindEvents() {
-        document.getElementById('btn-connect').addEventListener('click', () => this.connect());
-        document.getElementById('btn-disconnect').addEventListener('click', () => this.disconnect());
-        document.getElementById('btn-retry').addEventListener('click', () => this.showScreen('connect'));
+        document.getElementById('btn-connect').addEventListener('click', () => this.connect(this.urlMock));
+        document.getElementById('btn-mock').addEventListener('click', () => this.connect({
+            firmware: document.getElementById('mock-firmware').value,
+            script: document.getElementById('mock-script').value
+        }));
+        document.getElementById('btn-serial').addEventListener('click', () => this.connectSerialPort());
+        document.getElementById('btn-connect-another').addEventListener('click', () => this.showScreen('connect'));
+        this.sessionsBtn.addEventListener('click', () => this.showScreen('ready'));
+        document.getElementById('btn-retry').addEventListener('click', () => this.showScreen(this.sessions.length > 0 ? 'ready' : 'connect'));
+        this.emulationSelect.addEventListener('change', () => {
+            localStorage.setItem(PRINTER_EMULATION_KEY, this.emulationSelect.value);
+        });
+        [this.bridgeEnabledCheck, this.bridgeUrlInput].forEach(input => {
+            input.addEventListener('change', () => this.updateBridgeSettings());
+        });
+        document.getElementById('btn-bridge-test').addEventListener('click', () => this.bridge.test());
+        document.getElementById('btn-replay').addEventListener('click', () => document.getElementById('replay-file').click());
+        document.getElementById('replay-file').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.replay(file);
+        });
+        document.querySelectorAll('.btn-import').forEach(btn => {
+            btn.addEventListener('click', () => document.getElementById('import-file').click());
+        });
+        document.getElementById('import-file').addEventListener('change', e => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            files.reduce((done, file) => done.then(() => this.importDump(file)), Promise.resolve());
+        });
+        document.getElementById('frame-file').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.addCustomFrame(file);
+        });
         document.getElementById('btn-download-all').addEventListener('click', () => this.downloadAllImages());
+        document.getElementById('btn-clear-history').addEventListener('click', () => this.clearHistory());
+        document.getElementById('btn-animation').addEventListener('click', () => this.toggleAnimationPanel());
+        document.getElementById('btn-animation-delay').addEventListener('click', () => {
+            const delay = this.animationDelay(this.animationDelayInput.value);
+            this.animationFrames.forEach(frame => { frame.delay = delay; });
+            this.refreshAnimationFrames();
+        });
+        this.animationSaveBtn.addEventListener('click', () => this.saveAnimation());
+        document.getElementById('btn-layout').addEventListener('click', () => this.toggleLayoutPanel());
+        [this.layoutPaperSelect, this.layoutSizeSelect, this.layoutDateCheck, this.layoutTitleCheck].forEach(input => {
+            input.addEventListener('change', () => this.updateLayoutSettings());
+        });
+        document.getElementById('btn-layout-print').addEventListener('click', () => this.printLayout());
+        document.getElementById('btn-layout-pdf').addEventListener('click', () => this.saveLayoutPdf());
+        window.addEventListener('afterprint', () => { document.getElementById('print-sheets').innerHTML = ''; });
+        this.paletteSelect.addEventListener('change', () => this.setPalette(this.paletteSelect.value));
+        this.rollViewCheck.addEventListener('change', () => {
+            localStorage.setItem(ROLL_VIEW_KEY, this.rollViewCheck.checked ? '1' : '0');
+            this.updateGallery();
+        });
+        document.getElementById('btn-tear-off').addEventListener('click', () => this.tearOff());
+        document.getElementById('btn-palette-edit').addEventListener('click', () => this.togglePaletteEditor());
+        document.getElementById('btn-palette-save').addEventListener('click', () => this.saveCustomPalette());
+        this.paletteDeleteBtn.addEventListener('click', () => this.deleteCustomPalette());
+        [this.exportScaleSelect, this.exportBorderCheck, this.exportPaletteSelect].forEach(input => {
+            input.addEventListener('change', () => this.updateExportSettings());
+        });
     }
 
     showScreen(screenId) {
@@ -81,6 +181,7 @@ class GameBoyPrinter {
         if (screen) {
             screen.style.display = 'block';
         }
+        this.sessionsBtn.style.display = this.sessions.length > 0 ? 'inline-block' : 'none';
     }
 
     showError(message) {
@@ -88,406 +189,1086 @@ class GameBoyPrinter {
         this.showScreen('error');
     }
 
-    updateStatus(text, className = 'status-idle') {
-        this.statusText.textContent = 'Status: ' + text;
-        this.statusText.className = className;
+    // Connect one more WebUSB adapter next to the running sessions
+    // mock: simulated adapter options ({ firmware, script }), null for a real adapter
+    connect(mock = null) {
+        return this.startSession({
+            usb: mock ? new MockUSB(mock) : navigator.usb,
+            source: mock ? 'mock' : 'usb',
+            emulate: this.emulationSelect.value === 'browser'
+        });
     }
 
-    updateDataCount() {
-        this.dataReceived.textContent = `Data received: ${this.totalBytesReceived} bytes | Print buffer: ${this.printData.length} bytes`;
+    // Connect an adapter that shows up as a serial port (Arduino or Pico printer emulator sketch)
+    connectSerialPort() {
+        return this.startSession({
+            serialApi: navigator.serial,
+            baudRate: parseInt(this.baudRateSelect.value, 10) || DEFAULT_SERIAL_BAUD_RATE,
+            source: 'serial'
+        });
     }
 
-    async connect() {
+    async startSession(options) {
         this.showScreen('connecting');
 
+        const session = new PrinterSession(this, options);
+        this.sessions.push(session);
         try {
-            this.serial = new Serial();
-            await this.serial.getDevice();
-
-            this.updateStatus('Activating printer mode...', 'status-receiving');
-
-            if (this.serial.isNewFirmware) {
-                // New firmware: single SET_MODE command enters printer mode directly.
-                // Small delay to ensure firmware has re-armed command endpoint after voltage switch
-                await new Promise(r => setTimeout(r, 100));
-                console.log("Sending EnterGBPrinter command (0x03)");
-                await this.serial.sendCommand(new Uint8Array([NEW_CMD.ENTER_GB_PRINTER]));
-                console.log("EnterGBPrinter sent successfully");
-            } else {
-                // Old firmware: send printer mode magic packet, wait for 0x50 ack
-                await this.serial.send(PRINTER_MODE_MAGIC);
-                const ackResult = await this.serial.read(1);
-                if (ackResult.data.byteLength > 0) {
-                    const ack = ackResult.data.getUint8(0);
-                    if (ack !== 0x50) {
-                        console.warn("Unexpected printer mode ack:", ack);
-                    }
-                }
-            }
-
+            // Picking an adapter another session has open would break that session
+            const inUse = this.sessions.filter(s => s !== session).map(s => s.openedDevice()).filter(device => device);
+            await session.connect(inUse);
+            this.readyMessage.textContent = '';
             this.showScreen('ready');
-            this.updateStatus('Waiting for Game Boy...', 'status-idle');
-            this.running = true;
-
-            // Start reading data from firmware
-            this.printerLoop();
-
         } catch (err) {
             console.error('Connection error:', err);
+            session.card.remove();
+            this.removeSession(session);
             this.showError('Failed to connect: ' + err.message);
         }
     }
 
-    async disconnect() {
-        this.running = false;
-
-        if (this.serial) {
-            await this.serial.disconnect();
-            this.serial = null;
+    removeSession(session) {
+        this.sessions = this.sessions.filter(s => s !== session);
+        if (this.sessions.length === 0 && document.getElementById('screen-ready').style.display === 'block') {
+            this.showScreen('connect');
         }
+    }
 
-        this.showScreen('connect');
+    // Name of an adapter in its card and gallery lane: the USB serial number, else its number in this tab
+    adapterLabel(device) {
+        this.adapterCount++;
+        return (device && device.serialNumber) || `#${this.adapterCount}`;
     }
 
-    async printerLoop() {
-        const PRINT_TIMEOUT_MS = 2000;  // Reset if no data for 2 seconds during a print
+    // Feed a recorded capture file through a session of its own as if an adapter sent it
+    async replay(file) {
+        let capture;
+        try {
+            capture = parseCapture(await file.text());
+        } catch (err) {
+            this.showError('Failed to load capture: ' + err.message);
+            return;
+        }
 
-        while (this.running && this.serial && this.serial.ready) {
-            try {
-                // Read bytes from firmware (it handles the GB protocol)
-                const result = await this.serial.read(64);
+        const speed = parseFloat(document.getElementById('replay-speed').value);
+        console.log(`Replaying ${capture.chunks.length} chunk(s) recorded ${capture.created} at ${speed}x`);
 
-                if (result.data.byteLength > 0) {
-                    const bytes = new Uint8Array(result.data.buffer);
-                    this.lastDataTime = Date.now();
+        const session = new PrinterSession(this, { source: 'replay' });
+        this.sessions.push(session);
+        this.showScreen('ready');
+        await session.replay(capture, speed);
+    }
 
-                    for (let i = 0; i < bytes.length; i++) {
-                        this.processFirmwareByte(bytes[i]);
-                        this.totalBytesReceived++;
-                    }
+    // Store a finished print in the history, then add it to the gallery
+    async savePrint(record) {
+        try {
+            record.id = await this.store.add(record);
+        } catch (err) {
+            console.warn('Could not save print to history:', err);
+        }
+        const print = this.renderImage(record);
+        // Only new prints go to the bridge, not the history loaded at startup
+        if (print) this.sendToBridge(print);
+    }
 
-                    this.updateDataCount();
-                }
+    // Rebuild the gallery from stored prints
+    async loadHistory() {
+        try {
+            const records = await this.store.getAll();
+            console.log(`Loaded ${records.length} print(s) from history`);
+            records.forEach(record => this.renderImage(record));
+        } catch (err) {
+            console.warn('Could not load print history:', err);
+        }
+    }
 
+    async deletePrint(print) {
+        if (print.record.id !== undefined) {
+            try {
+                await this.store.delete(print.record.id);
             } catch (err) {
-                if (this.running) {
-                    // Timeout is expected when waiting for GB to print
-                    if (!err.toString().includes('timeout')) {
-                        console.error('Read error:', err);
-                    }
-
-                    // Check if we have stale partial data (print was canceled)
-                    if (this.printData.length > 0 && this.lastDataTime > 0) {
-                        const timeSinceLastData = Date.now() - this.lastDataTime;
-                        if (timeSinceLastData > PRINT_TIMEOUT_MS) {
-                            console.log(`Print timeout: discarding ${this.printData.length} bytes of incomplete data`);
-                            this.printData = [];
-                            this.parserState = ParserState.WAIT_COMMAND;
-                            this.currentPacketData = [];
-                            this.updateStatus('Print canceled - ready', 'status-idle');
-                        }
-                    }
-
-                    await new Promise(r => setTimeout(r, 50));
-                }
+                console.warn('Could not delete print from history:', err);
             }
         }
+        print.wrapper.remove();
+        print.rollCanvas.remove();
+        this.rollSelection = null;
+        this.prints = this.prints.filter(p => p !== print);
+        if (this.animationFrames.some(frame => frame.print === print)) this.setAnimationFrame(print, false);
+        if (this.layoutPrints.includes(print)) this.setLayoutPrint(print, false);
+
+        const key = print.record.adapter || '';
+        const lane = this.lanes.get(key);
+        if (lane && lane.container.children.length === 0) {
+            lane.element.remove();
+            this.lanes.delete(key);
+        }
+        this.updateGallery();
     }
 
-    processFirmwareByte(byte) {
-        // Check for "ABORTPRINT" abort marker from firmware (10 ASCII bytes)
-        // Keep a sliding window of recent bytes to detect the sequence
-        this.recentBytes.push(byte);
-        if (this.recentBytes.length > 10) {
-            this.recentBytes.shift();
+    async clearHistory() {
+        if (!confirm('Delete all printed images?')) return;
+        try {
+            await this.store.clear();
+        } catch (err) {
+            console.warn('Could not clear print history:', err);
         }
+        this.canvasContainer.innerHTML = '';
+        this.paperRoll.innerHTML = '';
+        this.rollSelection = null;
+        this.lanes.clear();
+        this.prints = [];
+        this.animationFrames = [];
+        this.refreshAnimationFrames();
+        this.layoutPrints = [];
+        this.refreshLayoutPrints();
+        this.updateGallery();
+    }
 
-        // Check if recent bytes spell "ABORTPRINT"
-        const abortMarker = [0x41, 0x42, 0x4F, 0x52, 0x54, 0x50, 0x52, 0x49, 0x4E, 0x54];
-        // A=0x41, B=0x42, O=0x4F, R=0x52, T=0x54, P=0x50, R=0x52, I=0x49, N=0x4E, T=0x54
-        if (this.recentBytes.length === 10 &&
-            this.recentBytes.every((b, i) => b === abortMarker[i])) {
-            console.log(`ABORTPRINT marker received: discarding ${this.printData.length} bytes, resetting parser`);
-            this.printData = [];
-            this.currentPacketData = [];
-            this.recentBytes = [];
-            this.parserState = ParserState.WAIT_COMMAND;
-            this.updateStatus('Print aborted - ready', 'status-idle');
-            return;
+    // Only show the gallery when it has prints in it, as separate prints or one paper roll
+    updateGallery() {
+        const hasPrints = this.prints.length > 0;
+        this.gallery.style.display = hasPrints ? 'block' : 'none';
+
+        const roll = this.rollViewCheck.checked;
+        this.canvasContainer.style.display = roll ? 'none' : 'block';
+        this.rollPanel.style.display = roll ? 'block' : 'none';
+        this.refreshRollSelection();
+    }
+
+    // Gallery lane of the adapter that made a print; imports, replays and older prints share one
+    laneFor(record) {
+        const key = record.adapter || '';
+        if (!this.lanes.has(key)) {
+            const element = document.createElement('div');
+            element.className = 'print-lane';
+            const title = document.createElement('h5');
+            title.className = 'print-lane-title';
+            title.textContent = key ? `Adapter ${key}` : 'Imported and earlier prints';
+            const container = document.createElement('div');
+            container.className = 'print-lane-prints';
+            element.appendChild(title);
+            element.appendChild(container);
+            this.canvasContainer.appendChild(element);
+            this.lanes.set(key, { element, container });
         }
+        return this.lanes.get(key);
+    }
 
-        // Parse structured data from firmware
-        // IMPORTANT: Only check for 0xFF/0xFE markers in WAIT_COMMAND state!
-        // These bytes can appear as normal bytes in image data
-        switch (this.parserState) {
-            case ParserState.WAIT_START:
-                // Waiting for 0xFF start marker
-                break;
+    // Color a decoded print onto a canvas using a display palette, with the print's edits
+    paintImage(canvas, image, palette, withExposure = true, edits = null) {
+        const edited = editImage(image, edits);
+        const { pixels, width, height } = orientPixels(renderPixels(edited, palette, withExposure),
+            edited.width, edited.height, edits);
+        canvas.width = width;
+        canvas.height = height;
 
-            case ParserState.WAIT_COMMAND:
-                // Check for protocol markers ONLY in this state
-                // (these bytes can appear as data in other states)
-                if (byte === 0xFF) {
-                    // Start/reset marker from firmware
-                    // Clear all buffers (handles both initial connect and print abort)
-                    if (this.printData.length > 0) {
-                        console.log(`Reset marker: discarding ${this.printData.length} bytes`);
-                    }
-                    this.printData = [];
-                    this.currentPacketData = [];
-                    this.updateStatus('Ready for print', 'status-idle');
-                    return;
-                }
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        imageData.data.set(pixels);
+        ctx.putImageData(imageData, 0, 0);
+    }
 
-                if (byte === 0xFE) {
-                    // Print marker - render accumulated image data
-                    if (this.printData.length > 0) {
-                        this.renderImage(this.printData);
-                        this.printData = [];
-                    }
-                    return;
-                }
+    renderImage(record) {
+        const image = decodePrint(record.sheets);
+        if (image.height === 0) return;
 
-                // Skip sync bytes
-                if (byte === 0x88 || byte === 0x33) {
-                    return;
-                }
+        console.log(`Rendering image: ${image.width}x${image.height} pixels from ${record.sheets.length} sheet(s)`);
 
-                // Only accept valid printer commands - reject everything else
-                // This prevents image data from being misinterpreted as commands
-                const validCommands = [
-                    PrinterCommand.INIT,      // 0x01
-                    PrinterCommand.PRINT,     // 0x02
-                    PrinterCommand.DATA,      // 0x04
-                    PrinterCommand.BREAK,     // 0x08
-                    PrinterCommand.INQUIRY    // 0x0F
-                ];
-
-                if (!validCommands.includes(byte)) {
-                    // Unknown byte - skip it and stay in WAIT_COMMAND
-                    return;
-                }
+        const wrapper = document.createElement('div');
+        wrapper.className = 'print-canvas-wrapper';
+        wrapper.title = new Date(record.timestamp).toLocaleString();
 
+        const canvas = document.createElement('canvas');
+        canvas.className = 'print-canvas';
+        canvas.id = `print-${this.imageCount}`;
+        this.paintImage(canvas, image, this.palette, true, record.edits);
 
-                this.currentCommand = byte;
-                this.parserState = ParserState.WAIT_COMPRESSION;
+        wrapper.appendChild(canvas);
 
-                if (this.currentCommand === PrinterCommand.DATA) {
-                    this.updateStatus('Receiving print data...', 'status-receiving');
-                } else if (this.currentCommand === PrinterCommand.PRINT) {
-                    this.updateStatus('Print command!', 'status-printing');
-                } else if (this.currentCommand === PrinterCommand.INIT) {
-                    this.printData = [];
-                    this.updateStatus('Init - buffer cleared', 'status-receiving');
-                } else if (this.currentCommand === PrinterCommand.INQUIRY) {
-                    this.updateStatus('Status inquiry', 'status-idle');
-                }
-                break;
+        const report = integritySummary(record.integrity);
+        if (report) {
+            const integrityLine = document.createElement('p');
+            integrityLine.className = 'print-integrity' + (report.warning ? ' print-integrity-warning' : '');
+            integrityLine.textContent = report.text;
+            // Rejected packets and resyncs come from the link; overruns with clean packets are the game's doing
+            integrityLine.title = 'Rejected packets and resyncs point to a cable or voltage problem. ' +
+                'RLE overruns without them are usually a quirk of the game.';
+            wrapper.appendChild(integrityLine);
+        }
 
-            case ParserState.WAIT_COMPRESSION:
-                // Compression byte should only be 0x00 (uncompressed) or 0x01 (RLE)
-                if (byte !== 0x00 && byte !== 0x01) {
-                    // Invalid compression byte - parser is desynchronized
-                    this.parserState = ParserState.WAIT_COMMAND;
-                    return;
-                }
-                this.currentCompression = byte;
-                this.parserState = ParserState.WAIT_LEN_LOW;
-                break;
+        const print = {
+            record, index: this.imageCount, image, canvas, wrapper,
+            editPanel: null, frameCheck: null, layoutCheck: null, rollCanvas: null
+        };
+        this.prints.push(print);
 
-            case ParserState.WAIT_LEN_LOW:
-                this.currentLength = byte;
-                this.parserState = ParserState.WAIT_LEN_HIGH;
-                break;
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'btn btn-sm btn-secondary';
+        downloadBtn.textContent = 'Download';
+        downloadBtn.style.marginTop = '0.5rem';
+        const index = this.imageCount;
+        downloadBtn.addEventListener('click', () => this.downloadImage(this.exportCanvas(print), index));
+        wrapper.appendChild(downloadBtn);
 
-            case ParserState.WAIT_LEN_HIGH:
-                this.currentLength |= (byte << 8);
-                this.currentDataIndex = 0;
-                this.currentPacketData = [];
-
-                // Sanity check: max valid GB Printer data packet is 640 bytes
-                // If we get a much larger value, the parser is desynchronized
-                if (this.currentLength > 1000) {
-                    console.warn(`Invalid packet length ${this.currentLength} - resetting parser`);
-                    this.parserState = ParserState.WAIT_COMMAND;
-                    return;
-                }
+        // Other export formats
+        const exportSelect = document.createElement('select');
+        exportSelect.className = 'form-control form-control-sm print-export-select';
+        [
+            ['', 'Export as...'],
+            ['raw', 'PNG without exposure'],
+            ['log', 'Printer log (.txt)'],
+            ['tiles', '2bpp tiles (.bin)']
+        ].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            exportSelect.appendChild(option);
+        });
+        exportSelect.addEventListener('change', () => {
+            this.exportPrint(print, index, exportSelect.value);
+            exportSelect.value = '';
+        });
+        wrapper.appendChild(exportSelect);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-sm btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.style.marginTop = '0.5rem';
+        deleteBtn.style.marginLeft = '0.5rem';
+        deleteBtn.addEventListener('click', () => this.deletePrint(print));
+        wrapper.appendChild(deleteBtn);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-sm btn-secondary';
+        editBtn.textContent = 'Edit';
+        editBtn.style.marginTop = '0.5rem';
+        editBtn.style.marginLeft = '0.5rem';
+        editBtn.addEventListener('click', () => this.toggleEditPanel(print));
+        wrapper.appendChild(editBtn);
+
+        // Pick the print for an animated GIF or a layout sheet, shown while their panel is open
+        print.frameCheck = this.addPickCheckbox(wrapper, 'print-frame-select', 'GIF frame',
+            checked => this.setAnimationFrame(print, checked));
+        print.layoutCheck = this.addPickCheckbox(wrapper, 'print-layout-select', 'Layout',
+            checked => this.setLayoutPrint(print, checked));
+
+        this.laneFor(record).container.appendChild(wrapper);
+        this.appendToRoll(print);
+        this.imageCount++;
 
-                if (this.currentLength > 0) {
-                    this.parserState = ParserState.READ_DATA;
-                } else {
-                    // No data in this packet (e.g., INQUIRY, INIT with no payload)
-                    this.processPacket();
-                    this.parserState = ParserState.WAIT_COMMAND;
-                }
-                break;
+        this.updateGallery();
+        return print;
+    }
 
-            case ParserState.READ_DATA:
-                this.currentPacketData.push(byte);
-                this.currentDataIndex++;
+    // Labelled checkbox under a print; returns the checkbox
+    addPickCheckbox(wrapper, className, text, onChange) {
+        const label = document.createElement('label');
+        label.className = className;
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.className = 'mr-1';
+        check.addEventListener('change', () => onChange(check.checked));
+        label.appendChild(check);
+        label.appendChild(document.createTextNode(text));
+        wrapper.appendChild(label);
+        return check;
+    }
 
-                if (this.currentDataIndex >= this.currentLength) {
-                    this.processPacket();
-                    this.parserState = ParserState.WAIT_COMMAND;
-                }
-                break;
+    // Add a print to the end of the paper roll as it came out of the printer: margins, no edits
+    appendToRoll(print) {
+        print.rollCanvas = document.createElement('canvas');
+        print.rollCanvas.className = 'roll-segment';
+        print.rollCanvas.title = new Date(print.record.timestamp).toLocaleString();
+        this.paintImage(print.rollCanvas, print.image, this.palette);
+        print.rollCanvas.addEventListener('click', () => this.selectRollSection(print));
+        this.paperRoll.appendChild(print.rollCanvas);
+        this.paperRoll.scrollTop = this.paperRoll.scrollHeight;
+    }
+
+    // First click picks one print, the next one extends the section to it, a third starts over
+    selectRollSection(print) {
+        const selection = this.rollSelection;
+        if (selection && selection.open) {
+            selection.last = print;
+            selection.open = false;
+        } else {
+            this.rollSelection = { first: print, last: print, open: true };
         }
+        this.refreshRollSelection();
     }
 
-    processPacket() {
-        switch (this.currentCommand) {
-            case PrinterCommand.INIT:
-                // INIT signals the start of a new print session
-                // Clear any stale data from a canceled print
-                if (this.printData.length > 0) {
-                    console.log(`INIT: clearing ${this.printData.length} bytes from previous incomplete print`);
-                }
-                this.printData = [];
-                this.currentPacketData = [];
-                this.updateStatus('Ready for print data', 'status-idle');
-                break;
+    // Prints of the picked section in roll order, or the whole roll
+    rollSection() {
+        if (!this.rollSelection) return this.prints;
+        const a = this.prints.indexOf(this.rollSelection.first);
+        const b = this.prints.indexOf(this.rollSelection.last);
+        return this.prints.slice(Math.min(a, b), Math.max(a, b) + 1);
+    }
 
-            case PrinterCommand.DATA:
-                // Accumulate print data
-                if (this.currentCompression === 0) {
-                    // Uncompressed
-                    this.printData.push(...this.currentPacketData);
-                } else {
-                    // RLE compressed
-                    const decompressed = this.decompressRLE(this.currentPacketData);
-                    this.printData.push(...decompressed);
-                }
-                console.log(`Print data accumulated: ${this.printData.length} bytes total`);
-                this.updateStatus(`Receiving: ${this.printData.length} bytes`, 'status-receiving');
-                break;
+    refreshRollSelection() {
+        const section = this.rollSelection ? this.rollSection() : [];
+        this.prints.forEach(print => {
+            print.rollCanvas.className = 'roll-segment' + (section.includes(print) ? ' roll-selected' : '');
+        });
+        document.getElementById('btn-tear-off').textContent = this.rollSelection
+            ? `Tear Off ${section.length} Print(s)` : 'Tear Off Whole Roll';
+    }
 
-            case PrinterCommand.PRINT:
-                this.updateStatus('Waiting for image...', 'status-printing');
-                break;
+    // Export a section of the roll as one image, scaled and bordered like PNG exports
+    async tearOff() {
+        const section = this.rollSection();
+        if (section.length === 0) return;
 
-            case PrinterCommand.INQUIRY:
-                // Nothing to do for inquiry - just a status check
-                break;
+        const source = document.createElement('canvas');
+        this.paintImage(source, stackImages(section.map(print => print.image)), this.exportPalette());
+        try {
+            const png = await this.canvasToPng(this.scaleForExport(source));
+            this.downloadBlob(new Blob([png], { type: 'image/png' }), `gameboy-roll-${exportStamp()}.png`);
+        } catch (err) {
+            console.error('Tear off error:', err);
+            this.reportError('Failed to export the roll: ' + err.message);
         }
+        this.rollSelection = null;
+        this.refreshRollSelection();
     }
 
-    decompressRLE(data) {
-        const result = [];
-        let i = 0;
-
-        while (i < data.length) {
-            const control = data[i++];
+    // Show or hide the edit controls under a print, created on first use
+    toggleEditPanel(print) {
+        if (!print.editPanel) {
+            print.editPanel = this.buildEditPanel(print);
+            print.wrapper.appendChild(print.editPanel);
+        } else {
+            print.editPanel.style.display = print.editPanel.style.display === 'none' ? 'block' : 'none';
+        }
+        this.refreshEditPanel(print);
+    }
 
-            if (control & 0x80) {
-                const count = (control & 0x7F) + 2;
-                const value = data[i++] || 0;
-                for (let j = 0; j < count; j++) {
-                    result.push(value);
-                }
-            } else {
-                const count = control + 1;
-                for (let j = 0; j < count && i < data.length; j++) {
-                    result.push(data[i++]);
-                }
+    buildEditPanel(print) {
+        const panel = document.getElementById('print-edit-template').content.firstElementChild.cloneNode(true);
+        const find = selector => panel.querySelector(selector);
+        const edits = () => normalizeEdits(print.record.edits);
+
+        find('.btn-rotate-left').addEventListener('click', () => this.editPrint(print, { rotate: (edits().rotate + 270) % 360 }));
+        find('.btn-rotate-right').addEventListener('click', () => this.editPrint(print, { rotate: (edits().rotate + 90) % 360 }));
+        find('.btn-flip-x').addEventListener('click', () => this.editPrint(print, { flipX: !edits().flipX }));
+        find('.btn-flip-y').addEventListener('click', () => this.editPrint(print, { flipY: !edits().flipY }));
+        find('.edit-crop').addEventListener('change', e => this.editPrint(print, { crop: e.target.value }));
+        find('.edit-frame').addEventListener('change', e => {
+            if (e.target.value === 'add') {
+                // The frame is applied once the image has loaded
+                this.frameTarget = print;
+                document.getElementById('frame-file').click();
+                this.refreshEditPanel(print);
+                return;
             }
+            this.editPrint(print, { frame: e.target.value || null });
+        });
+        find('.btn-frame-delete').addEventListener('click', () => this.deleteCustomFrame(edits().frame));
+        find('.btn-edit-reset').addEventListener('click', () => this.editPrint(print, NO_EDITS));
+        return panel;
+    }
+
+    // Sync the edit controls with the print's edits; camera crops and frames need a camera-shaped print
+    refreshEditPanel(print) {
+        if (!print.editPanel) return;
+        const find = selector => print.editPanel.querySelector(selector);
+        const edits = normalizeEdits(print.record.edits);
+        const camera = isCameraPrint(print.image);
+
+        const cropSelect = find('.edit-crop');
+        cropSelect.querySelector('option[value="camera"]').disabled = !camera;
+        cropSelect.value = edits.crop;
+
+        const frameSelect = find('.edit-frame');
+        frameSelect.innerHTML = '';
+        [['', 'Frame as printed'], ...getFrames().map(frame => [frame.id, frame.name]), ['add', 'Add custom frame...']]
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                frameSelect.appendChild(option);
+            });
+        frameSelect.disabled = !camera;
+        frameSelect.title = camera ? '' : 'Frames need a 160x144 Game Boy Camera print';
+        const frame = edits.frame ? findFrame(edits.frame) : null;
+        frameSelect.value = frame ? frame.id : '';
+
+        find('.btn-frame-delete').style.display = frame && frame.custom ? 'inline-block' : 'none';
+    }
+
+    // Change a print's edits, redraw it and keep the edits with the stored print
+    async editPrint(print, changes) {
+        print.record.edits = normalizeEdits({ ...print.record.edits, ...changes });
+        this.paintImage(print.canvas, print.image, this.palette, true, print.record.edits);
+        this.refreshEditPanel(print);
+
+        if (print.record.id === undefined) return;
+        try {
+            await this.store.update(print.record);
+        } catch (err) {
+            console.warn('Could not save print edits:', err);
         }
+    }
 
-        return result;
+    // Turn a 160x144 image into a custom frame and put it on the print that asked for it
+    async addCustomFrame(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            const name = file.name.replace(/\.[^.]+$/, '');
+            const frame = storeCustomFrame(name, imageToFrameShades(data, canvas.width, canvas.height));
+            if (this.frameTarget) this.editPrint(this.frameTarget, { frame: frame.id });
+        } catch (err) {
+            console.error('Frame error:', err);
+            this.reportError('Failed to add frame: ' + err.message);
+        }
+        this.frameTarget = null;
     }
 
-    renderImage(data) {
-        const tilesPerRow = 20;
-        const bytesPerTile = 16;
-        const totalTiles = Math.floor(data.length / bytesPerTile);
-        const tileRows = Math.ceil(totalTiles / tilesPerRow);
+    // Prints that used the frame go back to the frame they were printed with
+    deleteCustomFrame(id) {
+        if (!id || !confirm('Delete this frame?')) return;
+        removeCustomFrame(id);
+        this.prints.filter(print => normalizeEdits(print.record.edits).frame === id)
+            .forEach(print => this.editPrint(print, { frame: null }));
+    }
 
-        const width = tilesPerRow * 8;
-        const height = tileRows * 8;
+    // Switch the display palette and recolor every print in the gallery
+    setPalette(id) {
+        this.palette = findPalette(id);
+        localStorage.setItem(SELECTED_PALETTE_KEY, this.palette.id);
+        this.prints.forEach(print => {
+            this.paintImage(print.canvas, print.image, this.palette, true, print.record.edits);
+            this.paintImage(print.rollCanvas, print.image, this.palette);
+        });
+        this.refreshPaletteControls();
+    }
 
-        console.log(`Rendering image: ${width}x${height} pixels, ${totalTiles} tiles`);
+    // Fill the palette dropdown and sync the custom palette editor
+    refreshPaletteControls() {
+        this.paletteSelect.innerHTML = '';
+        getPalettes().forEach(palette => {
+            const option = document.createElement('option');
+            option.value = palette.id;
+            option.textContent = palette.name;
+            this.paletteSelect.appendChild(option);
+        });
+        this.paletteSelect.value = this.palette.id;
 
-        const wrapper = document.createElement('div');
-        wrapper.className = 'print-canvas-wrapper';
+        this.paletteColorInputs.forEach((input, i) => {
+            input.value = rgbToHex(this.palette.colors[i]);
+        });
+        this.paletteNameInput.value = this.palette.custom ? this.palette.name : '';
+        this.paletteDeleteBtn.style.display = this.palette.custom ? 'inline-block' : 'none';
+
+        // Export and animation palettes: empty value follows the display palette
+        const animationPaletteId = this.animationPaletteSelect.value;
+        [this.exportPaletteSelect, this.animationPaletteSelect].forEach(select => {
+            select.innerHTML = '';
+            const sameOption = document.createElement('option');
+            sameOption.value = '';
+            sameOption.textContent = 'Same as display';
+            select.appendChild(sameOption);
+            getPalettes().forEach(palette => {
+                const option = document.createElement('option');
+                option.value = palette.id;
+                option.textContent = palette.name;
+                select.appendChild(option);
+            });
+        });
+        this.exportPaletteSelect.value = this.exportSettings.paletteId;
+        this.animationPaletteSelect.value = getPalettes().some(p => p.id === animationPaletteId) ? animationPaletteId : '';
+    }
 
+    loadExportSettings() {
+        const defaults = { scale: 1, border: false, paletteId: '' };
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY)));
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    updateExportSettings() {
+        const scale = parseInt(this.exportScaleSelect.value, 10) || 1;
+        this.exportSettings = {
+            scale: Math.min(Math.max(scale, 1), MAX_EXPORT_SCALE),
+            border: this.exportBorderCheck.checked,
+            paletteId: this.exportPaletteSelect.value
+        };
+        localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(this.exportSettings));
+    }
+
+    // Simulated adapter scripts, preselected from the ?mock URL flag
+    refreshMockControls() {
+        const scriptSelect = document.getElementById('mock-script');
+        Object.entries(MOCK_SCRIPTS).forEach(([id, script]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = script.name;
+            scriptSelect.appendChild(option);
+        });
+        if (this.urlMock) {
+            document.getElementById('mock-firmware').value = this.urlMock.firmware;
+            scriptSelect.value = this.urlMock.script;
+        }
+    }
+
+    // Serial port adapters need Web Serial, which not every WebUSB browser has
+    refreshSerialControls() {
+        document.getElementById('serial-controls').style.display = navigator.serial ? '' : 'none';
+        SERIAL_BAUD_RATES.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = rate;
+            option.textContent = `${rate} baud`;
+            this.baudRateSelect.appendChild(option);
+        });
+        this.baudRateSelect.value = DEFAULT_SERIAL_BAUD_RATE;
+    }
+
+    refreshExportControls() {
+        this.exportScaleSelect.innerHTML = '';
+        for (let scale = 1; scale <= MAX_EXPORT_SCALE; scale++) {
+            const option = document.createElement('option');
+            option.value = scale;
+            option.textContent = scale === 1 ? '1× (native)' : `${scale}×`;
+            this.exportScaleSelect.appendChild(option);
+        }
+        this.exportScaleSelect.value = this.exportSettings.scale;
+        this.exportBorderCheck.checked = this.exportSettings.border;
+    }
+
+    exportPalette() {
+        return this.exportSettings.paletteId ? findPalette(this.exportSettings.paletteId) : this.palette;
+    }
+
+    // Build a download canvas using the export settings: palette, pixel-exact
+    // integer upscale and an optional white paper border
+    exportCanvas(print, withExposure = true, palette = this.exportPalette()) {
+        const source = document.createElement('canvas');
+        this.paintImage(source, print.image, palette, withExposure, print.record.edits);
+        return this.scaleForExport(source);
+    }
+
+    // Upscale a painted canvas and add the paper border of the export settings
+    scaleForExport(source) {
+        const { scale, border } = this.exportSettings;
+
+        const edge = border ? PAPER_BORDER_PX : 0;
         const canvas = document.createElement('canvas');
-        canvas.className = 'print-canvas';
-        canvas.width = width;
-        canvas.height = height;
-        canvas.id = `print-${this.imageCount}`;
+        canvas.width = (source.width + edge * 2) * scale;
+        canvas.height = (source.height + edge * 2) * scale;
 
         const ctx = canvas.getContext('2d');
-        const imageData = ctx.createImageData(width, height);
-        const pixels = imageData.data;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, edge * scale, edge * scale, source.width * scale, source.height * scale);
+        return canvas;
+    }
 
-        let tileIndex = 0;
-        for (let tileY = 0; tileY < tileRows; tileY++) {
-            for (let tileX = 0; tileX < tilesPerRow; tileX++) {
-                if (tileIndex >= totalTiles) break;
+    toggleAnimationPanel() {
+        const open = this.animationPanel.style.display === 'none';
+        this.animationPanel.style.display = open ? 'block' : 'none';
+        this.gallery.classList.toggle('animating', open);
+        this.refreshAnimationFrames();
+    }
 
-                const tileOffset = tileIndex * bytesPerTile;
-                this.decodeTile(data, tileOffset, pixels, width, tileX * 8, tileY * 8);
-                tileIndex++;
-            }
+    // Frame delay in ms from an input, no shorter than browsers play back
+    animationDelay(value) {
+        return Math.max(parseInt(value, 10) || 0, GIF_MIN_DELAY_MS);
+    }
+
+    // Add a print to the end of the animation, or take it out
+    setAnimationFrame(print, selected) {
+        this.animationFrames = this.animationFrames.filter(frame => frame.print !== print);
+        if (selected) {
+            this.animationFrames.push({ print, delay: this.animationDelay(this.animationDelayInput.value) });
         }
+        print.frameCheck.checked = selected;
+        this.refreshAnimationFrames();
+    }
 
-        ctx.putImageData(imageData, 0, 0);
+    moveAnimationFrame(index, step) {
+        const frames = this.animationFrames;
+        const target = index + step;
+        if (target < 0 || target >= frames.length) return;
+        [frames[index], frames[target]] = [frames[target], frames[index]];
+        this.refreshAnimationFrames();
+    }
 
-        wrapper.appendChild(canvas);
+    // List the picked prints with their delay and buttons to reorder them
+    refreshAnimationFrames() {
+        this.animationTable.innerHTML = '';
+        this.animationFrames.forEach((frame, i) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.textContent = `${i + 1}. Print ${frame.print.index + 1}`;
+            row.appendChild(name);
+
+            const delayCell = document.createElement('td');
+            const delayInput = document.createElement('input');
+            delayInput.type = 'number';
+            delayInput.className = 'form-control form-control-sm animation-frame-delay';
+            delayInput.min = GIF_MIN_DELAY_MS;
+            delayInput.step = 10;
+            delayInput.value = frame.delay;
+            delayInput.title = 'Delay in ms';
+            delayInput.addEventListener('change', () => {
+                frame.delay = this.animationDelay(delayInput.value);
+                delayInput.value = frame.delay;
+            });
+            delayCell.appendChild(delayInput);
+            row.appendChild(delayCell);
+
+            const buttons = document.createElement('td');
+            [
+                ['\u2191', 'Earlier', () => this.moveAnimationFrame(i, -1)],
+                ['\u2193', 'Later', () => this.moveAnimationFrame(i, 1)],
+                ['\u2715', 'Remove', () => this.setAnimationFrame(frame.print, false)]
+            ].forEach(([label, title, action]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-sm btn-secondary ml-1';
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', action);
+                buttons.appendChild(button);
+            });
+            row.appendChild(buttons);
+            this.animationTable.appendChild(row);
+        });
+        this.animationSaveBtn.disabled = this.animationFrames.length < 2;
+    }
 
-        const downloadBtn = document.createElement('button');
-        downloadBtn.className = 'btn btn-sm btn-secondary';
-        downloadBtn.textContent = 'Download';
-        downloadBtn.style.marginTop = '0.5rem';
-        downloadBtn.addEventListener('click', () => this.downloadImage(canvas, this.imageCount));
-        wrapper.appendChild(downloadBtn);
+    // Encode the picked prints as an animated GIF, scaled and bordered like PNG exports
+    saveAnimation() {
+        if (this.animationFrames.length < 2) return;
+        const paletteId = this.animationPaletteSelect.value;
+        const palette = paletteId ? findPalette(paletteId) : this.palette;
+        const canvases = this.animationFrames.map(frame => this.exportCanvas(frame.print, true, palette));
+        const width = Math.max(...canvases.map(canvas => canvas.width));
+        const height = Math.max(...canvases.map(canvas => canvas.height));
 
-        this.canvasContainer.appendChild(wrapper);
-        this.imageCount++;
+        try {
+            const gif = new GifWriter(width, height, { loop: document.getElementById('animation-loop').checked });
+            const frameCanvas = document.createElement('canvas');
+            frameCanvas.width = width;
+            frameCanvas.height = height;
+            const ctx = frameCanvas.getContext('2d');
+            canvases.forEach((canvas, i) => {
+                // Prints of different sizes are centered on paper white
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, width, height);
+                ctx.drawImage(canvas, Math.floor((width - canvas.width) / 2), Math.floor((height - canvas.height) / 2));
+                gif.addFrame(ctx.getImageData(0, 0, width, height).data, this.animationFrames[i].delay);
+            });
+            this.downloadBlob(gif.toBlob(), `gameboy-animation-${exportStamp()}.gif`);
+        } catch (err) {
+            console.error('GIF error:', err);
+            this.reportError('Failed to create GIF: ' + err.message);
+        }
+    }
+
+    loadLayoutSettings() {
+        const defaults = { paper: defaultLayoutPaper(navigator.language), size: 'sticker', date: true, title: false };
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(LAYOUT_SETTINGS_KEY)));
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    updateLayoutSettings() {
+        this.layoutSettings = {
+            paper: this.layoutPaperSelect.value,
+            size: this.layoutSizeSelect.value,
+            date: this.layoutDateCheck.checked,
+            title: this.layoutTitleCheck.checked
+        };
+        localStorage.setItem(LAYOUT_SETTINGS_KEY, JSON.stringify(this.layoutSettings));
+        this.refreshLayoutPrints();
+    }
+
+    refreshLayoutControls() {
+        Object.entries(LAYOUT_PAPERS).forEach(([id, paper]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = paper.name;
+            this.layoutPaperSelect.appendChild(option);
+        });
+        LAYOUT_SIZES.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size.id;
+            option.textContent = size.name;
+            this.layoutSizeSelect.appendChild(option);
+        });
+        this.layoutPaperSelect.value = this.layoutSettings.paper;
+        this.layoutSizeSelect.value = this.layoutSettings.size;
+        this.layoutDateCheck.checked = this.layoutSettings.date;
+        this.layoutTitleCheck.checked = this.layoutSettings.title;
+    }
+
+    toggleLayoutPanel() {
+        const open = this.layoutPanel.style.display === 'none';
+        this.layoutPanel.style.display = open ? 'block' : 'none';
+        this.gallery.classList.toggle('laying-out', open);
+        this.refreshLayoutPrints();
+    }
+
+    setLayoutPrint(print, selected) {
+        this.layoutPrints = this.prints.filter(p => p === print ? selected : this.layoutPrints.includes(p));
+        print.layoutCheck.checked = selected;
+        this.refreshLayoutPrints();
+    }
+
+    // Prints going on the sheets: the picked ones, or all of them
+    layoutSelection() {
+        return this.layoutPrints.length > 0 ? this.layoutPrints : this.prints;
+    }
+
+    // List the prints going on the sheets, with a title field each when titles are captioned
+    refreshLayoutPrints() {
+        this.layoutTable.innerHTML = '';
+        if (!this.layoutSettings.title) return;
+        this.layoutSelection().forEach(print => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.textContent = `Print ${print.index + 1}`;
+            row.appendChild(name);
+
+            const titleCell = document.createElement('td');
+            const titleInput = document.createElement('input');
+            titleInput.type = 'text';
+            titleInput.className = 'form-control form-control-sm';
+            titleInput.placeholder = 'Game or title';
+            titleInput.value = print.record.title || '';
+            titleInput.addEventListener('change', () => this.setPrintTitle(print, titleInput.value.trim()));
+            titleCell.appendChild(titleInput);
+            row.appendChild(titleCell);
+            this.layoutTable.appendChild(row);
+        });
+    }
 
-        this.downloadAllBtn.style.display = 'inline-block';
-        this.updateStatus('Image received! Waiting for more...', 'status-idle');
+    // The printer never says which game printed; the title is kept with the stored print
+    async setPrintTitle(print, title) {
+        print.record.title = title;
+        if (print.record.id === undefined) return;
+        try {
+            await this.store.update(print.record);
+        } catch (err) {
+            console.warn('Could not save print title:', err);
+        }
     }
 
-    decodeTile(data, offset, pixels, imageWidth, startX, startY) {
-        for (let row = 0; row < 8; row++) {
-            const byte1 = data[offset + row * 2] || 0;
-            const byte2 = data[offset + row * 2 + 1] || 0;
+    // Caption under a print on the sheets, empty without captions
+    layoutCaption(print) {
+        const parts = [];
+        if (this.layoutSettings.date) parts.push(new Date(print.record.timestamp).toLocaleDateString());
+        if (this.layoutSettings.title && print.record.title) parts.push(print.record.title);
+        return parts.join(' \u00B7 ');
+    }
 
-            for (let col = 0; col < 8; col++) {
-                const bit = 7 - col;
-                const colorIndex = ((byte1 >> bit) & 1) | (((byte2 >> bit) & 1) << 1);
-                const color = PALETTE[colorIndex];
+    // Pages for the picked prints, each cell with its print's picture canvas and caption
+    buildLayout() {
+        const prints = this.layoutSelection();
+        const canvases = prints.map(print => {
+            const canvas = document.createElement('canvas');
+            this.paintImage(canvas, print.image, this.exportPalette(), true, print.record.edits);
+            return canvas;
+        });
+        const layout = layoutPages(canvases, {
+            paper: this.layoutSettings.paper,
+            size: this.layoutSettings.size,
+            captions: this.layoutSettings.date || this.layoutSettings.title
+        });
+        // Pictures at their own pixel size; the page scales them
+        layout.pages.forEach(cells => cells.forEach(cell => {
+            cell.canvas = canvases[cell.item];
+            cell.text = this.layoutCaption(prints[cell.item]);
+        }));
+        return layout;
+    }
+
+    // Whole-number upscale to about 300 dpi, so the browser's print output keeps the pixels sharp
+    upscaleForPaper(source, widthMm) {
+        const scale = Math.max(1, Math.round(widthMm / 25.4 * LAYOUT_PRINT_DPI / source.width));
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width * scale;
+        canvas.height = source.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // Lay the sheets out in the page (hidden on screen) and open the browser's print dialog
+    printLayout() {
+        if (this.prints.length === 0) return;
+        const layout = this.buildLayout();
+        const mm = value => `${value}mm`;
+        const sheets = document.getElementById('print-sheets');
+        sheets.innerHTML = '';
+        document.getElementById('page-style').textContent =
+            `@page { size: ${mm(layout.paper.width)} ${mm(layout.paper.height)}; margin: 0; }`;
+
+        layout.pages.forEach(cells => {
+            const sheet = document.createElement('div');
+            sheet.className = 'print-sheet';
+            sheet.style.width = mm(layout.paper.width);
+            sheet.style.height = mm(layout.paper.height);
+            cells.forEach(cell => {
+                if (layout.sticker) {
+                    const cut = document.createElement('div');
+                    cut.className = 'print-sheet-cut';
+                    Object.assign(cut.style, { left: mm(cell.x), top: mm(cell.y), width: mm(cell.width), height: mm(cell.height) });
+                    sheet.appendChild(cut);
+                }
+                const img = document.createElement('img');
+                img.src = this.upscaleForPaper(cell.canvas, cell.image.width).toDataURL('image/png');
+                Object.assign(img.style, {
+                    left: mm(cell.image.x), top: mm(cell.image.y), width: mm(cell.image.width), height: mm(cell.image.height)
+                });
+                sheet.appendChild(img);
+                if (cell.caption && cell.text) {
+                    const caption = document.createElement('div');
+                    caption.className = 'print-sheet-caption';
+                    caption.textContent = cell.text;
+                    Object.assign(caption.style, { left: mm(cell.caption.x), top: mm(cell.caption.y - 3), width: mm(cell.caption.width) });
+                    sheet.appendChild(caption);
+                }
+            });
+            sheets.appendChild(sheet);
+        });
+        window.print();
+    }
+
+    saveLayoutPdf() {
+        if (this.prints.length === 0) return;
+        try {
+            const layout = this.buildLayout();
+            const pdf = new PdfWriter();
+            layout.pages.forEach(cells => {
+                const page = pdf.addPage(layout.paper.width, layout.paper.height);
+                cells.forEach(cell => {
+                    if (layout.sticker) pdf.drawCutLine(page, cell.x, cell.y, cell.width, cell.height);
+                    // Native pixels, drawn unsmoothed by the viewer: a few KB per picture at any size
+                    const { width, height } = cell.canvas;
+                    const pixels = cell.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+                    pdf.drawImage(page, pixels, width, height, cell.image.x, cell.image.y, cell.image.width, cell.image.height);
+                    if (cell.caption && cell.text) pdf.drawText(page, cell.text, cell.caption.x, cell.caption.y);
+                });
+            });
+            this.downloadBlob(pdf.toBlob(), `gameboy-prints-${exportStamp()}.pdf`);
+        } catch (err) {
+            console.error('PDF error:', err);
+            this.reportError('Failed to create PDF: ' + err.message);
+        }
+    }
+
+    togglePaletteEditor() {
+        const editor = document.getElementById('palette-editor');
+        editor.style.display = editor.style.display === 'none' ? 'block' : 'none';
+    }
+
+    // Save the editor colors as a custom palette (updates the selected one if it is custom)
+    saveCustomPalette() {
+        const colors = this.paletteColorInputs.map(input => hexToRgb(input.value));
+        const name = this.paletteNameInput.value.trim() || 'Custom';
+        const palette = storeCustomPalette(name, colors, this.palette.custom ? this.palette.id : null);
+        this.setPalette(palette.id);
+    }
+
+    deleteCustomPalette() {
+        if (!this.palette.custom) return;
+        removeCustomPalette(this.palette.id);
+        if (this.exportSettings.paletteId === this.palette.id) {
+            this.exportSettings.paletteId = '';
+            localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(this.exportSettings));
+        }
+        this.setPalette(DEFAULT_PALETTE_ID);
+    }
+
+    exportPrint(print, index, format) {
+        const name = `gameboy-print-${index + 1}`;
+        switch (format) {
+            case 'raw':
+                // Unadjusted image for archival export
+                this.downloadImage(this.exportCanvas(print, false), index, 'raw');
+                break;
+            case 'log':
+                this.downloadBlob(new Blob([printToLog(print.record)], { type: 'text/plain' }), `${name}.txt`);
+                break;
+            case 'tiles':
+                this.downloadBlob(new Blob([printToTiles(print.record)], { type: 'application/octet-stream' }), `${name}.bin`);
+                break;
+        }
+    }
 
-                const x = startX + col;
-                const y = startY + row;
-                const pixelOffset = (y * imageWidth + x) * 4;
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 
-                pixels[pixelOffset] = color[0];
-                pixels[pixelOffset + 1] = color[1];
-                pixels[pixelOffset + 2] = color[2];
-                pixels[pixelOffset + 3] = 255;
+    // Rebuild prints from a printer log or raw 2bpp file made by another tool
+    async importDump(file) {
+        try {
+            if (/\.(bin|2bpp)$/i.test(file.name)) {
+                const data = new Uint8Array(await file.arrayBuffer());
+                if (data.length < BYTES_PER_TILE) throw new Error('File holds no complete tile');
+                this.savePrint({
+                    timestamp: Date.now(),
+                    firmware: null,
+                    source: 'import',
+                    sheets: [{
+                        data,
+                        params: parsePrintParams([1, 0x00, DEFAULT_PRINT_PALETTE, DEFAULT_PRINT_EXPOSURE])
+                    }]
+                });
+            } else {
+                // Separate parser so an import never mixes with a live print
+                const parser = new PrinterParser();
+                parser.on('print', ({ sheets, integrity }) => {
+                    this.savePrint({ timestamp: Date.now(), firmware: null, source: 'import', sheets, integrity });
+                });
+
+                const stream = printerLogToStream(await file.text(), result => parser.recordCheck(result));
+                console.log(`Importing ${file.name}: ${stream.length} bytes of printer data`);
+                parser.push(stream);
+                // Logs may end without a closing margin
+                parser.flush();
             }
+        } catch (err) {
+            console.error('Import error:', err);
+            this.reportError('Failed to import: ' + err.message);
         }
     }
 
-    downloadImage(canvas, index) {
+    // Errors while adapters are connected go to the line above their cards, otherwise to the error screen
+    reportError(message) {
+        if (this.sessions.length > 0) {
+            this.readyMessage.textContent = message;
+        } else {
+            this.showError(message);
+        }
+    }
+
+    refreshBridgeControls() {
+        this.bridgeEnabledCheck.checked = this.bridge.settings.enabled;
+        this.bridgeUrlInput.value = this.bridge.settings.url;
+    }
+
+    updateBridgeSettings() {
+        this.bridge.saveSettings({
+            enabled: this.bridgeEnabledCheck.checked,
+            url: this.bridgeUrlInput.value.trim() || DEFAULT_BRIDGE_URL
+        });
+        this.refreshBridgeControls();
+        this.showBridgeStatus('', true);
+    }
+
+    // Failures also go to the line above the adapter cards, where they are seen while printing
+    showBridgeStatus(text, ok) {
+        this.bridgeStatus.textContent = text;
+        this.bridgeStatus.classList.toggle('bridge-error', !ok);
+        if (!ok && this.sessions.length > 0) {
+            this.readyMessage.textContent = `Print bridge: ${text}`;
+        }
+    }
+
+    // Send a new print as it would be exported: export palette, scale, border and edits
+    async sendToBridge(print) {
+        if (!this.bridge.settings.enabled) return;
+        try {
+            const { width, height } = editedSize(print.image, print.record.edits);
+            const png = await this.canvasToPng(this.exportCanvas(print));
+            await this.bridge.send(bridgeMessage(print.record, png, {
+                width,
+                height,
+                scale: this.exportSettings.scale,
+                border: this.exportSettings.border,
+                palette: this.exportPalette()
+            }));
+        } catch (err) {
+            console.warn('Could not send print to the bridge:', err);
+            this.showBridgeStatus(`Could not send: ${err.message}`, false);
+        }
+    }
+
+    downloadImage(canvas, index, suffix) {
         const link = document.createElement('a');
-        link.download = `gameboy-print-${index + 1}.png`;
+        link.download = `gameboy-print-${index + 1}${suffix ? '-' + suffix : ''}.png`;
         link.href = canvas.toDataURL('image/png');
         link.click();
     }
 
-    downloadAllImages() {
-        const canvases = this.canvasContainer.querySelectorAll('canvas');
-        canvases.forEach((canvas, index) => {
-            setTimeout(() => this.downloadImage(canvas, index), index * 100);
+    canvasToPng(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) return reject(new Error('Could not encode PNG'));
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
         });
     }
+
+    // Bundle every print and a manifest into one ZIP download
+    async downloadAllImages() {
+        if (this.prints.length === 0) return;
+
+        try {
+            const zip = new ZipWriter();
+            const manifest = {
+                generator: 'GB-Link Printer',
+                exported: new Date().toISOString(),
+                scale: this.exportSettings.scale,
+                border: this.exportSettings.border,
+                prints: []
+            };
+            const palette = this.exportPalette();
+
+            for (let i = 0; i < this.prints.length; i++) {
+                const { record, image } = this.prints[i];
+                const { width, height } = editedSize(image, record.edits);
+                const file = `gameboy-print-${String(i + 1).padStart(3, '0')}.png`;
+                const png = await this.canvasToPng(this.exportCanvas(this.prints[i]));
+                zip.addFile(file, png, new Date(record.timestamp));
+                manifest.prints.push({
+                    file,
+                    timestamp: new Date(record.timestamp).toISOString(),
+                    width,
+                    height,
+                    palette: { id: palette.id, name: palette.name, colors: palette.colors },
+                    firmware: record.firmware,
+                    source: record.source,
+                    adapter: record.adapter || null,
+                    printParams: record.sheets.map(sheet => sheet.params),
+                    edits: record.edits ? normalizeEdits(record.edits) : null,
+                    integrity: record.integrity || null
+                });
+            }
+            zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+            this.downloadBlob(zip.toBlob(), `gameboy-prints-${exportStamp()}.zip`);
+        } catch (err) {
+            console.error('ZIP error:', err);
+            this.reportError('Failed to create ZIP: ' + err.message);
+        }
+    }
 }
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
-    if (!navigator.usb) {
+    // Serial port adapters and the simulated adapter work without WebUSB
+    if (!navigator.usb && !navigator.serial && !mockOptionsFromUrl()) {
         document.getElementById('screen-no-webusb').style.display = 'block';
         return;
     }
@@ -0,0 +1,86 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) that keeps the app usable without a
+ * network, and offers a reload once a new version has been downloaded.
+ * The waiting worker reports its version, shown next to the one on the
+ * connect screen.
+ */
+
+// How long to wait for a service worker to report its version
+const WORKER_VERSION_TIMEOUT_MS = 1000;
+
+// Version on the connect screen ("Version: 2.1.0" -> "2.1.0")
+function displayedVersion() {
+    const match = document.getElementById('app-version').textContent.match(/\d+(\.\d+)*/);
+    return match ? match[0] : null;
+}
+
+// Ask a service worker which app version it caches, null if it does not answer
+function workerVersion(worker) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = e => resolve(e.data.version);
+        worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        setTimeout(() => resolve(null), WORKER_VERSION_TIMEOUT_MS);
+    });
+}
+
+class UpdatePrompt {
+    constructor() {
+        this.banner = document.getElementById('update-banner');
+        this.message = document.getElementById('update-message');
+        this.worker = null;       // Installed worker waiting to take over
+        this.reloading = false;   // The user asked for the new version
+
+        document.getElementById('btn-update').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('btn-update-later').addEventListener('click', () => {
+            this.banner.style.display = 'none';
+        });
+    }
+
+    register() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Only reload for an update the user accepted, not when the first worker takes control
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Downloaded during an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.show(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install: nothing to update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.show(worker);
+                    }
+                });
+            });
+        }).catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+    }
+
+    async show(worker) {
+        this.worker = worker;
+        const version = await workerVersion(worker);
+        const current = displayedVersion();
+        this.message.textContent = version
+            ? `Version ${version} is available (this is ${current}).`
+            : 'A new version is available.';
+        this.banner.style.display = 'block';
+    }
+
+    // Let the waiting worker take over; controllerchange then reloads the page
+    applyUpdate() {
+        if (!this.worker) return;
+        this.reloading = true;
+        this.worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+window.addEventListener('load', () => new UpdatePrompt().register());
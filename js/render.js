@@ -0,0 +1,173 @@
+/**
+ * Print Renderer
+ * Decodes printed sheets (2bpp tile data + PRINT parameters) into shades and
+ * RGBA pixels. Pure functions without DOM access; the caller puts the pixels
+ * on a canvas.
+ */
+
+// Image buffer layout: 20 tiles across (160px), 16 bytes per 8x8 2bpp tile
+const TILES_PER_ROW = 20;
+const BYTES_PER_TILE = 16;
+
+// Pixel rows of blank paper fed per PRINT margin unit (one tile row)
+const MARGIN_FEED_ROWS = 8;
+
+// Expand a PRINT palette byte into a color index -> shade (0 = lightest) lookup
+function paletteShades(palette) {
+    return [0, 1, 2, 3].map(i => (palette >> (i * 2)) & 0x03);
+}
+
+// Darken or lighten pixels like the printer's heating time would.
+// Maps exposure onto a gamma curve so paper white and full black stay put.
+function applyExposure(pixels, exposure, start = 0, end = pixels.length) {
+    if (exposure === DEFAULT_PRINT_EXPOSURE) return;
+
+    const gamma = Math.pow(2, (exposure - DEFAULT_PRINT_EXPOSURE) / DEFAULT_PRINT_EXPOSURE);
+    const curve = new Uint8Array(256);
+    for (let v = 0; v < 256; v++) {
+        curve[v] = Math.round(255 * Math.pow(v / 255, gamma));
+    }
+
+    for (let i = start; i < end; i += 4) {
+        pixels[i] = curve[pixels[i]];
+        pixels[i + 1] = curve[pixels[i + 1]];
+        pixels[i + 2] = curve[pixels[i + 2]];
+    }
+}
+
+// Lay out sheets top to bottom: margin feed before, image (once per copy), margin feed after
+function layoutSheets(sheets) {
+    const width = TILES_PER_ROW * 8;
+    let y = 0;
+    const placed = sheets.map(sheet => {
+        const params = sheet.params || parsePrintParams([]);
+        const totalTiles = Math.floor(sheet.data.length / BYTES_PER_TILE);
+        const imageHeight = Math.ceil(totalTiles / TILES_PER_ROW) * 8;
+        // Sheets = 0 is a paper feed only; the buffer is not printed
+        const copies = sheet.params ? params.sheets : 1;
+
+        y += params.marginBefore * MARGIN_FEED_ROWS;
+        const top = y;
+        y += imageHeight * copies;
+        const bottom = y;
+        y += params.marginAfter * MARGIN_FEED_ROWS;
+
+        return { data: sheet.data, params, totalTiles, imageHeight, copies, top, bottom };
+    });
+    return { width, height: y, placed };
+}
+
+// Write one 8x8 2bpp tile into a shade buffer
+function decodeTile(data, offset, shades, imageWidth, startX, startY, shadeMap) {
+    for (let row = 0; row < 8; row++) {
+        const byte1 = data[offset + row * 2] || 0;
+        const byte2 = data[offset + row * 2 + 1] || 0;
+
+        for (let col = 0; col < 8; col++) {
+            const bit = 7 - col;
+            const colorIndex = ((byte1 >> bit) & 1) | (((byte2 >> bit) & 1) << 1);
+
+            const x = startX + col;
+            const y = startY + row;
+            shades[y * imageWidth + x] = shadeMap[colorIndex];
+        }
+    }
+}
+
+// Decode a print into one shade (0 = lightest ... 3 = darkest) per pixel, after the
+// PRINT palette, plus the exposure that applies to each pixel row and the printed
+// rows between the margins (printTop inclusive, printBottom exclusive)
+function decodePrint(sheets) {
+    const { width, height, placed } = layoutSheets(sheets);
+
+    // Margins are blank paper (shade 0)
+    const shades = new Uint8Array(width * height);
+    const exposures = new Uint8Array(height).fill(DEFAULT_PRINT_EXPOSURE);
+
+    placed.forEach(sheet => {
+        const shadeMap = paletteShades(sheet.params.palette);
+        for (let copy = 0; copy < sheet.copies; copy++) {
+            const top = sheet.top + copy * sheet.imageHeight;
+            for (let tileIndex = 0; tileIndex < sheet.totalTiles; tileIndex++) {
+                const tileX = tileIndex % TILES_PER_ROW;
+                const tileY = Math.floor(tileIndex / TILES_PER_ROW);
+                decodeTile(sheet.data, tileIndex * BYTES_PER_TILE, shades, width,
+                    tileX * 8, top + tileY * 8, shadeMap);
+            }
+        }
+        exposures.fill(sheet.params.exposure, sheet.top, sheet.bottom);
+    });
+
+    // Printed rows without the paper fed for margins
+    const printed = placed.filter(sheet => sheet.bottom > sheet.top);
+    const printTop = printed.length > 0 ? printed[0].top : 0;
+    const printBottom = printed.length > 0 ? printed[printed.length - 1].bottom : 0;
+
+    return { width, height, shades, exposures, printTop, printBottom };
+}
+
+// Join decoded prints top to bottom into one strip, the way they leave the paper roll
+function stackImages(images) {
+    const width = TILES_PER_ROW * 8;
+    const height = images.reduce((sum, image) => sum + image.height, 0);
+    const shades = new Uint8Array(width * height);
+    const exposures = new Uint8Array(height);
+
+    let y = 0;
+    images.forEach(image => {
+        shades.set(image.shades, y * width);
+        exposures.set(image.exposures, y);
+        y += image.height;
+    });
+    return { width, height, shades, exposures, printTop: 0, printBottom: height };
+}
+
+// Tile rows (8 pixel rows) a print buffer of this many bytes fills completely
+function completeTileRows(byteLength) {
+    return Math.floor(byteLength / (TILES_PER_ROW * BYTES_PER_TILE));
+}
+
+// Decode tile rows [firstRow, endRow) of a sheet still arriving, for the live preview.
+// The PRINT command (palette, exposure) comes after the data, so colors map straight to shades.
+function decodeTileRows(data, firstRow, endRow) {
+    const width = TILES_PER_ROW * 8;
+    const height = Math.max(endRow - firstRow, 0) * 8;
+    const shades = new Uint8Array(width * height);
+    const shadeMap = paletteShades(DEFAULT_PRINT_PALETTE);
+
+    for (let tileY = firstRow; tileY < endRow; tileY++) {
+        for (let tileX = 0; tileX < TILES_PER_ROW; tileX++) {
+            decodeTile(data, (tileY * TILES_PER_ROW + tileX) * BYTES_PER_TILE, shades, width,
+                tileX * 8, (tileY - firstRow) * 8, shadeMap);
+        }
+    }
+
+    return { width, height, shades, exposures: new Uint8Array(height).fill(DEFAULT_PRINT_EXPOSURE) };
+}
+
+// Color a decoded print with a display palette into RGBA pixels (ImageData layout)
+function renderPixels(image, palette, withExposure = true) {
+    const { width, height, shades, exposures } = image;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < shades.length; i++) {
+        const color = palette.colors[shades[i]];
+        pixels[i * 4] = color[0];
+        pixels[i * 4 + 1] = color[1];
+        pixels[i * 4 + 2] = color[2];
+        pixels[i * 4 + 3] = 255;
+    }
+
+    if (withExposure) {
+        // Adjust runs of rows that share the same exposure
+        let runStart = 0;
+        for (let y = 1; y <= height; y++) {
+            if (y === height || exposures[y] !== exposures[runStart]) {
+                applyExposure(pixels, exposures[runStart], runStart * width * 4, y * width * 4);
+                runStart = y;
+            }
+        }
+    }
+
+    return pixels;
+}
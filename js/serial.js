@@ -25,6 +25,10 @@ function fwVersionAtLeast(device, minMajor, minMinor, minPatch) {
     return patch >= minPatch;
 }
 
+function fwVersionString(device) {
+    return `${device.deviceVersionMajor || 0}.${device.deviceVersionMinor || 0}.${device.deviceVersionSubminor || 0}`;
+}
+
 // Magic packet prefix (32 bytes shared by all magic packets)
 const MAGIC_PREFIX = new Uint8Array([
     0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE,
@@ -67,18 +71,65 @@ const NEW_CMD = {
     SET_VOLTAGE_5V:    0x41,
 };
 
+// Adapter commands this client uses, how each firmware family takes them and
+// whether the connected firmware is new enough for them
+function firmwareFeatures(device) {
+    const isNew = device.vendorId === 0x2FE3;
+    const magicPackets = fwVersionAtLeast(device, 1, 0, 6);
+    return [
+        {
+            id: 'printer',
+            name: 'Printer mode',
+            command: isNew ? 'ENTER_GB_PRINTER (0x03)' : '"PRNT" magic packet',
+            supported: true
+        },
+        {
+            id: 'link',
+            name: 'Link mode (browser printer emulation)',
+            command: isNew ? 'SET_MODE GB_LINK (0x00 0x02)' : 'CDC start, no magic packet',
+            supported: true
+        },
+        {
+            id: 'voltage',
+            name: '5V switch',
+            command: isNew ? 'SET_VOLTAGE_5V (0x41)' : '"V5V0" magic packet',
+            supported: isNew || magicPackets,
+            requires: 'firmware 1.0.6'
+        },
+        {
+            id: 'led',
+            name: 'LED color',
+            command: '"LEDS" magic packet',
+            supported: magicPackets,
+            requires: 'firmware 1.0.6'
+        },
+        {
+            id: 'cancel',
+            name: 'Cancel / stop',
+            command: isNew ? 'CANCEL (0x01)' : 'CDC stop',
+            supported: true
+        }
+    ];
+}
+
 class Serial {
-    constructor() {
+    // usb: navigator.usb, or a stand-in with the same requestDevice/getDevices (see js/mock-adapter.js)
+    constructor(usb = navigator.usb) {
+        this.usb = usb;
         this.buffer = [];
         this.send_active = false;
         this.isNewFirmware = false;
         this.epCmdOut = null;  // Command OUT endpoint (new firmware only)
+        this.voltage5V = false;  // Switched to 5V during openDevice
     }
 
-    async setLed(r, g, b, on = true) {
+    // readAck: false while a read loop owns the IN endpoint, so the ack read
+    // cannot swallow printer data (printer mode sends no ack anyway)
+    async setLed(r, g, b, on = true, readAck = true) {
         if (!this.ready || !fwVersionAtLeast(this.device, 1, 0, 6)) return false;
         const packet = buildLedPacket(r, g, b, on);
         await this.device.transferOut(this.epOut, packet);
+        if (!readAck) return true;
         try {
             await Promise.race([
                 this.device.transferIn(this.epIn, 64),
@@ -88,19 +139,19 @@ class Serial {
         return true;
     }
 
-    static getPorts() {
-        return navigator.usb.getDevices().then(devices => {
+    static getPorts(usb = navigator.usb) {
+        return usb.getDevices().then(devices => {
             return devices;
         });
     }
 
-    static requestPort() {
+    static requestPort(usb = navigator.usb) {
         const filters = [
             { 'vendorId': 0x239A }, // Adafruit boards
             { 'vendorId': 0xcafe }, // TinyUSB example (old reconfigurable firmware)
             { 'vendorId': 0x2FE3 }, // Zephyr default VID (new GBLink firmware)
         ];
-        return navigator.usb.requestDevice({ 'filters': filters }).then(
+        return usb.requestDevice({ 'filters': filters }).then(
             device => {
                 return device;
             }
@@ -156,59 +207,60 @@ class Serial {
         }
     }
 
-    async getDevice() {
-        let device = null;
+    // Let the user pick an adapter, then open it. Other adapters stay open:
+    // inUse lists the devices other sessions run on, which must not be reopened
+    async getDevice(inUse = []) {
+        this.ready = false;
+
+        const device = await Serial.requestPort(this.usb);
+        if (inUse.includes(device)) throw new Error('This adapter is already connected');
+        await this.openDevice(device);
+    }
+
+    // Open an adapter the user already picked (requestPort or getPorts):
+    // claim its vendor interface, do the firmware handshake and switch to 5V
+    async openDevice(device) {
         this.ready = false;
+        this.device = device;
+        this.ifNum = undefined;
+        this.voltage5V = false;
 
-        // Clean up any previously paired devices
         try {
-            const existingDevices = await navigator.usb.getDevices();
-            for (const dev of existingDevices) {
-                if (dev.opened) {
-                    try { await dev.close(); } catch (e) { }
-                }
+            // Detect firmware type by Vendor ID
+            this.isNewFirmware = (device.vendorId === 0x2FE3);
+            console.log(this.isNewFirmware
+                ? 'New firmware (GBLink Unified, Zephyr) detected'
+                : `Old firmware (reconfigurable, TinyUSB) detected — VID 0x${device.vendorId.toString(16)}`);
+
+            if (device.opened) {
+                try { await device.close(); } catch (e) { }
             }
-        } catch (e) { }
 
-        return new Promise((resolve, reject) => {
-            Serial.requestPort().then(async (dev) => {
-                device = dev;
-                this.device = device;
-
-                // Detect firmware type by Vendor ID
-                this.isNewFirmware = (device.vendorId === 0x2FE3);
-                console.log(this.isNewFirmware
-                    ? 'New firmware (GBLink Unified, Zephyr) detected'
-                    : `Old firmware (reconfigurable, TinyUSB) detected — VID 0x${device.vendorId.toString(16)}`);
-
-                if (device.opened) {
-                    try { await device.close(); } catch (e) { }
-                }
-
-                return dev.open();
-            }).then(async () => {
-                // Try to reset the device to clear stale OS state
-                // (only for old firmware — the new firmware drops its
-                //  USB connection on reset, breaking the session)
-                if (!this.isNewFirmware && device.reset) {
-                    await device.reset().catch(e => {
-                        console.warn("Device reset failed (non-fatal):", e);
-                    });
-                }
-                return device.selectConfiguration(1);
-            }).then(() => {
-                if (!device.configuration) throw new Error("No configuration selected");
-                this.getEndpoints(device.configuration.interfaces);
-                if (this.ifNum === undefined) throw new Error("No Vendor Interface (Class 0xFF) found");
-                return device.claimInterface(this.ifNum);
-            }).then(() => {
-                return device.selectAlternateInterface(this.ifNum, 0);
-            }).then(async () => {
-                if (this.isNewFirmware) {
-                    // New firmware: no CDC handshake needed — command endpoint is used directly
-                    return;
-                }
+            await device.open();
 
+            // Try to reset the device to clear stale OS state
+            // (only for old firmware — the new firmware drops its
+            //  USB connection on reset, breaking the session)
+            if (!this.isNewFirmware && device.reset) {
+                await device.reset().catch(e => {
+                    console.warn("Device reset failed (non-fatal):", e);
+                });
+            }
+            await device.selectConfiguration(1);
+
+            if (!device.configuration) throw new Error("No configuration selected");
+            this.getEndpoints(device.configuration.interfaces);
+            if (this.ifNum === undefined) throw new Error("No Vendor Interface (Class 0xFF) found");
+            await device.claimInterface(this.ifNum);
+            await device.selectAlternateInterface(this.ifNum, 0);
+
+            if (this.isNewFirmware) {
+                // New firmware: no CDC handshake needed — command endpoint is used directly.
+                // Switch to 5V mode for Game Boy via command endpoint
+                console.log("Switching to 5V mode for Game Boy (new firmware)");
+                await this.sendCommand(new Uint8Array([NEW_CMD.SET_VOLTAGE_5V]));
+                this.voltage5V = true;
+            } else {
                 // Old firmware: CDC stop/start handshake
                 try {
                     await device.controlTransferOut({
@@ -224,40 +276,55 @@ class Serial {
                     console.warn("Force stop failed:", e);
                 }
 
-                return device.controlTransferOut({
+                await device.controlTransferOut({
                     'requestType': 'class',
                     'recipient': 'interface',
                     'request': 0x22,
                     'value': 0x01, // START
                     'index': this.ifNum
                 });
-            }).then(async () => {
-                if (this.isNewFirmware) {
-                    // Switch to 5V mode for Game Boy via command endpoint
-                    console.log("Switching to 5V mode for Game Boy (new firmware)");
-                    await this.sendCommand(new Uint8Array([NEW_CMD.SET_VOLTAGE_5V]));
-                } else {
-                    // Old firmware: check version then switch via magic packet
-                    const fwVer = `${device.deviceVersionMajor}.${device.deviceVersionMinor}.${device.deviceVersionSubminor}`;
-                    console.log("Firmware version (bcdDevice):", fwVer);
-
-                    if (fwVersionAtLeast(device, 1, 0, 6)) {
-                        console.log("Switching to 5V mode for Game Boy");
-                        await device.transferOut(this.epOut, VSWITCH_5V_PACKET);
-                        try {
-                            await device.transferIn(this.epIn, 64);
-                        } catch (e) { /* ack read is non-fatal */ }
-                    }
+
+                // Then check version and switch via magic packet
+                console.log("Firmware version (bcdDevice):", fwVersionString(device));
+
+                if (fwVersionAtLeast(device, 1, 0, 6)) {
+                    console.log("Switching to 5V mode for Game Boy");
+                    await device.transferOut(this.epOut, VSWITCH_5V_PACKET);
+                    try {
+                        await device.transferIn(this.epIn, 64);
+                    } catch (e) { /* ack read is non-fatal */ }
+                    this.voltage5V = true;
                 }
+            }
+        } catch (err) {
+            console.error("Device connection error:", err);
+            throw err;
+        }
 
-                this.ready = true;
-                this.device = device;
-                resolve();
-            }).catch(err => {
-                console.error("Device connection error:", err);
-                reject(err);
-            });
-        });
+        this.ready = true;
+    }
+
+    // Descriptor and endpoint layout of the open adapter, for the device panel
+    deviceInfo() {
+        if (!this.device) return null;
+        return {
+            vendorId: this.device.vendorId,
+            productId: this.device.productId,
+            productName: this.device.productName || null,
+            serialNumber: this.device.serialNumber || null,
+            firmware: this.isNewFirmware ? 'gblink' : 'reconfigurable',
+            version: fwVersionString(this.device),
+            interfaceNumber: this.ifNum,
+            endpoints: { commandOut: this.epCmdOut, dataOut: this.epOut, dataIn: this.epIn },
+            voltage5V: this.voltage5V
+        };
+    }
+
+    // Same physical adapter as this session's, e.g. after it was unplugged and came back
+    isSameDevice(device) {
+        return !!this.device && device.vendorId === this.device.vendorId &&
+            device.productId === this.device.productId &&
+            device.serialNumber === this.device.serialNumber;
     }
 
     async disconnect() {
@@ -0,0 +1,710 @@
+/**
+ * Printer Session
+ * One connected adapter (or capture replay) with its own transport, parser,
+ * read loop, reconnect state, LED and status card. GameBoyPrinter
+ * (js/printer.js) runs any number of them side by side and collects their prints.
+ *
+ * Transports: Serial (js/serial.js) for WebUSB adapters, which the session
+ * switches into printer or link mode, and WebSerialPort (js/web-serial.js)
+ * for serial port adapters, which only stream printer data. Both hand the
+ * session the firmware stream format through readChunk().
+ */
+
+// Printer mode magic sequence (must match firmware)
+const PRINTER_MODE_MAGIC = new Uint8Array([
+    0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE,
+    0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE, 0xCA, 0xFE,
+    0xDE, 0xAD, 0xBE, 0xEF, 0xDE, 0xAD, 0xBE, 0xEF,
+    0xDE, 0xAD, 0xBE, 0xEF, 0xDE, 0xAD, 0xBE, 0xEF,
+    0x50, 0x52, 0x4E, 0x54  // "PRNT"
+]);
+
+// Lines the adapter log on the card keeps
+const SESSION_LOG_LINES = 50;
+
+// How often to look for a lost adapter while reconnecting
+const RECONNECT_INTERVAL_MS = 1000;
+
+// Adapter LED: the user's color, or the print status when the indicator is on
+const LED_SETTINGS_KEY = 'ledSettings';
+const LED_STATUS_COLORS = {
+    receiving: [255, 160, 0],
+    printed: [0, 255, 0],
+    aborted: [255, 0, 0]
+};
+
+// Replace a table's rows; cells are plain text, the first one is the row header
+function fillTable(table, rows) {
+    table.innerHTML = '';
+    rows.forEach(({ cells, className }) => {
+        const tr = document.createElement('tr');
+        if (className) tr.className = className;
+        cells.forEach((text, i) => {
+            const cell = document.createElement(i === 0 ? 'th' : 'td');
+            cell.textContent = text;
+            tr.appendChild(cell);
+        });
+        table.appendChild(tr);
+    });
+}
+
+function hex16(value) {
+    return '0x' + value.toString(16).toUpperCase().padStart(4, '0');
+}
+
+class PrinterSession {
+    // app: the GameBoyPrinter collecting prints
+    // usb: navigator.usb or a MockUSB; serialApi: navigator.serial; neither for a capture replay
+    // source: 'usb', 'mock', 'serial' or 'replay'
+    constructor(app, { usb = null, serialApi = null, baudRate = DEFAULT_SERIAL_BAUD_RATE, source = 'usb', emulate = false } = {}) {
+        this.app = app;
+        this.usb = usb;
+        this.source = source;
+        this.emulate = emulate;  // Answer the Game Boy in the browser (link mode)
+        this.serial = usb ? new Serial(usb) : null;
+        this.port = serialApi ? new WebSerialPort(serialApi, {
+            baudRate,
+            onCheck: result => this.parser.recordCheck(result),
+            onLine: line => this.log(line)
+        }) : null;
+        this.emulator = null;  // PrinterEmulator while the browser answers the Game Boy
+        this.recorder = null;  // CaptureRecorder while recording the firmware stream
+        this.running = false;
+        this.totalBytesReceived = 0;
+        this.label = null;     // Adapter serial number (or number in this tab) naming the card and gallery lane
+
+        // Firmware data stream parser
+        this.parser = new PrinterParser();
+
+        // Session recovery after the adapter drops off USB
+        this.loop = 0;               // Incremented to stop the running read loop
+        this.watchedUsb = null;
+        this.reconnecting = false;
+        this.reconnectAttempt = false;
+        this.reconnectTimer = null;
+        this.skipResetMarker = false;
+        this.onUsbDisconnect = e => {
+            if (this.serial && e.device === this.serial.device) this.handleDeviceLost();
+        };
+        this.onUsbConnect = e => {
+            if (this.reconnecting && this.serial && this.serial.isSameDevice(e.device)) this.reconnect();
+        };
+
+        // Adapter LED
+        this.ledSettings = this.loadLedSettings();
+        this.ledState = 'idle';           // Print status shown while the indicator is on
+        this.ledQueue = Promise.resolve();  // LED packets go out one at a time
+
+        // Status card
+        this.card = document.getElementById('session-template').content.firstElementChild.cloneNode(true);
+        const find = selector => this.card.querySelector(selector);
+        this.titleText = find('.session-title');
+        this.statusText = find('.session-status');
+        this.dataReceived = find('.session-data');
+        this.logText = find('.session-log');
+        this.logLines = [];
+        this.recordBtn = find('.btn-record');
+        this.mockDropBtn = find('.btn-mock-drop');
+        this.devicePanelBtn = find('.btn-device-panel');
+        this.disconnectBtn = find('.btn-disconnect');
+        this.devicePanel = find('.device-panel');
+        this.deviceInfoTable = find('.device-info');
+        this.deviceFeaturesTable = find('.device-features');
+        this.ledColorInput = find('.led-color');
+        this.ledOnCheck = find('.led-on');
+        this.ledStatusCheck = find('.led-status');
+        this.ledHint = find('.led-hint');
+
+        // Print on its way, drawn as its tile rows arrive
+        this.preview = new LivePreview(find('.session-preview'), () => this.app.palette);
+
+        this.bindEvents();
+        this.bindParserEvents();
+        this.refreshDevicePanel();
+        document.getElementById('sessions').appendChild(this.card);
+    }
+
+    bindEvents() {
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.mockDropBtn.addEventListener('click', () => this.simulateUsbDrop());
+        this.devicePanelBtn.addEventListener('click', () => this.toggleDevicePanel());
+        this.disconnectBtn.addEventListener('click', () => this.disconnect());
+        [this.ledColorInput, this.ledOnCheck, this.ledStatusCheck].forEach(input => {
+            input.addEventListener('change', () => this.updateLedSettings());
+        });
+    }
+
+    // Reflect parser progress in the status line and hand finished prints to the app
+    bindParserEvents() {
+        const parser = this.parser;
+        parser.on('reset', () => {
+            this.updateStatus('Ready for print', 'status-idle');
+            this.preview.clear();
+        });
+
+        parser.on('command', ({ command }) => {
+            if (command === PrinterCommand.DATA) {
+                this.updateStatus('Receiving print data...', 'status-receiving');
+                this.setLedStatus('receiving');
+            } else if (command === PrinterCommand.PRINT) {
+                this.updateStatus('Print command!', 'status-printing');
+            } else if (command === PrinterCommand.INIT) {
+                this.updateStatus('Init - buffer cleared', 'status-receiving');
+            } else if (command === PrinterCommand.INQUIRY) {
+                this.updateStatus('Status inquiry', 'status-idle');
+            }
+        });
+
+        parser.on('packet', ({ command, bufferLength }) => {
+            this.preview.update(parser.printData);
+            if (command === PrinterCommand.INIT) {
+                this.updateStatus('Ready for print data', 'status-idle');
+            } else if (command === PrinterCommand.DATA) {
+                this.updateStatus(`Receiving: ${bufferLength} bytes`, 'status-receiving');
+            } else if (command === PrinterCommand.PRINT) {
+                this.updateStatus('Waiting for image...', 'status-printing');
+            }
+        });
+
+        parser.on('sheet', ({ count }) => {
+            this.updateStatus(`Sheet ${count} received - waiting for the rest...`, 'status-printing');
+            this.preview.sheetDone();
+        });
+
+        parser.on('abort', ({ reason }) => {
+            this.updateStatus(reason === 'timeout' ? 'Print canceled - ready' : 'Print aborted - ready', 'status-idle');
+            this.setLedStatus('aborted');
+            // A timeout keeps sheets already printed for the strip
+            if (parser.pendingSheets.length > 0) {
+                this.preview.discardSheet();
+            } else {
+                this.preview.clear();
+            }
+        });
+
+        parser.on('desync', ({ reason, value }) => {
+            console.warn(`Parser desync (${reason}: ${value}) - waiting for next command`);
+        });
+
+        parser.on('reject', ({ reason }) => {
+            this.updateStatus(reason === 'checksum' ? 'Packet rejected: checksum error' : 'Packet rejected: bad length', 'status-receiving');
+        });
+
+        parser.on('print', async ({ sheets, integrity }) => {
+            this.setLedStatus('printed');
+            this.preview.clear();
+            await this.app.savePrint({
+                timestamp: Date.now(),
+                firmware: this.firmwareName(),
+                source: this.source,
+                adapter: this.label,
+                sheets,
+                integrity
+            });
+            if (this.running) {
+                this.updateStatus('Image received! Waiting for more...', 'status-idle');
+            }
+        });
+    }
+
+    adapterTitle() {
+        if (this.port) return `Serial Port ${this.label} (${this.port.baudRate} baud)`;
+        return `Adapter ${this.label}` + (this.source === 'mock' ? ' (simulated)' : '');
+    }
+
+    // What sent the stream, as stored with prints and captures
+    firmwareName() {
+        if (this.port) return 'serial-log';
+        if (!this.serial) return null;
+        return this.serial.isNewFirmware ? 'gblink' : 'reconfigurable';
+    }
+
+    // The USBDevice or SerialPort this session has open
+    openedDevice() {
+        if (this.serial) return this.serial.device || null;
+        return this.port ? this.port.port : null;
+    }
+
+    setTitle(text) {
+        this.titleText.textContent = text;
+    }
+
+    updateStatus(text, className = 'status-idle') {
+        this.statusText.textContent = 'Status: ' + text;
+        this.statusText.className = 'session-status ' + className;
+    }
+
+    // Text the adapter sends besides printer data, newest at the bottom
+    log(line) {
+        this.logLines.push(line);
+        if (this.logLines.length > SESSION_LOG_LINES) this.logLines.shift();
+        this.logText.textContent = this.logLines.join('\n');
+        this.logText.style.display = 'block';
+        this.logText.scrollTop = this.logText.scrollHeight;
+    }
+
+    updateDataCount() {
+        this.dataReceived.textContent = `Data received: ${this.totalBytesReceived} bytes | Print buffer: ${this.parser.printData.length} bytes`;
+    }
+
+    // Let the user pick an adapter and start reading from it
+    // inUse: devices other sessions already have open
+    async connect(inUse = []) {
+        this.setTitle('Connecting...');
+        this.recordBtn.style.display = 'none';
+        this.mockDropBtn.style.display = 'none';
+
+        if (this.port) {
+            await this.port.open(inUse);
+            this.label = this.app.adapterLabel(null);
+            this.startSession();
+            return;
+        }
+
+        this.watchUsb(this.usb);
+        try {
+            await this.serial.getDevice(inUse);
+
+            if (this.emulate) {
+                this.emulator = new PrinterEmulator(bytes => this.handleFirmwareData(bytes),
+                    result => this.parser.recordCheck(result));
+            }
+            await this.enterPrinterMode();
+        } catch (err) {
+            this.unwatchUsb();
+            throw err;
+        }
+
+        this.label = this.app.adapterLabel(this.serial.device);
+        this.startSession();
+    }
+
+    startSession() {
+        this.setTitle(this.adapterTitle());
+        this.recordBtn.style.display = 'inline-block';
+        this.mockDropBtn.style.display = this.source === 'mock' ? 'inline-block' : 'none';
+        this.updateStatus('Waiting for Game Boy...', 'status-idle');
+        this.running = true;
+        this.refreshDevicePanel();
+        this.showLed('idle');
+
+        // Start reading data from firmware
+        if (this.emulator) {
+            this.emulator.start();
+        }
+        this.startReading();
+    }
+
+    // Switch the opened adapter into printer mode, or into link mode for the browser emulator
+    async enterPrinterMode() {
+        this.updateStatus('Activating printer mode...', 'status-receiving');
+
+        if (this.emulator) {
+            // Link mode: the adapter only passes bytes, PrinterEmulator answers the Game Boy
+            if (this.serial.isNewFirmware) {
+                await new Promise(r => setTimeout(r, 100));
+                await this.serial.sendCommand(new Uint8Array([NEW_CMD.SET_MODE, NEW_CMD.MODE_GB_LINK]));
+            }
+            // The reconfigurable firmware is in link mode until it receives a magic packet
+        } else if (this.serial.isNewFirmware) {
+            // New firmware: single SET_MODE command enters printer mode directly.
+            // Small delay to ensure firmware has re-armed command endpoint after voltage switch
+            await new Promise(r => setTimeout(r, 100));
+            console.log("Sending EnterGBPrinter command (0x03)");
+            await this.serial.sendCommand(new Uint8Array([NEW_CMD.ENTER_GB_PRINTER]));
+            console.log("EnterGBPrinter sent successfully");
+        } else {
+            // Old firmware: send printer mode magic packet, wait for 0x50 ack
+            await this.serial.send(PRINTER_MODE_MAGIC);
+            const ackResult = await this.serial.read(1);
+            if (ackResult.data.byteLength > 0) {
+                const ack = ackResult.data.getUint8(0);
+                if (ack !== 0x50) {
+                    console.warn("Unexpected printer mode ack:", ack);
+                }
+            }
+        }
+    }
+
+    // Play a recorded capture through this session's parser
+    async replay(capture, speed) {
+        this.setTitle('Replaying Capture');
+        this.recordBtn.style.display = 'none';
+        this.mockDropBtn.style.display = 'none';
+        this.disconnectBtn.textContent = 'Close';
+        this.updateStatus('Replaying...', 'status-receiving');
+        this.running = true;
+
+        // Print and stitch timeouts that happened while recording happen again, on the recorded clock
+        const finished = await replayCapture(capture, speed, (bytes, time) => {
+            this.parser.checkIdle(time);
+            this.handleFirmwareData(bytes, time);
+        }, () => this.running);
+
+        // A strip left open at the end of the capture is rendered as-is
+        this.parser.flush();
+        if (finished) {
+            this.running = false;
+            this.updateStatus('Replay finished', 'status-idle');
+        }
+    }
+
+    async disconnect() {
+        this.running = false;
+        this.stopReconnecting();
+        this.unwatchUsb();
+
+        // Don't lose a recording in progress
+        if (this.recorder) {
+            this.toggleRecording();
+        }
+
+        if (this.serial) {
+            await this.serial.disconnect();
+        }
+        if (this.port) {
+            await this.port.close();
+        }
+        this.emulator = null;
+
+        this.card.remove();
+        this.app.removeSession(this);
+    }
+
+    // Listen for the adapter going away and coming back
+    watchUsb(usb) {
+        this.unwatchUsb();
+        if (!usb || !usb.addEventListener) return;
+        usb.addEventListener('disconnect', this.onUsbDisconnect);
+        usb.addEventListener('connect', this.onUsbConnect);
+        this.watchedUsb = usb;
+    }
+
+    unwatchUsb() {
+        if (!this.watchedUsb) return;
+        this.watchedUsb.removeEventListener('disconnect', this.onUsbDisconnect);
+        this.watchedUsb.removeEventListener('connect', this.onUsbConnect);
+        this.watchedUsb = null;
+    }
+
+    // Start a read loop; loops started earlier end by themselves
+    startReading() {
+        const loop = ++this.loop;
+        if (this.emulator) {
+            this.emulatorLoop(loop);
+        } else {
+            this.printerLoop(loop);
+        }
+    }
+
+    isReading(loop) {
+        const transport = this.serial || this.port;
+        return this.running && loop === this.loop && transport && transport.ready;
+    }
+
+    // Next piece of the firmware-style stream, from whichever transport this session uses
+    async readChunk() {
+        if (this.port) return this.port.read();
+        const result = await this.serial.read(64);
+        return new Uint8Array(result.data.buffer);
+    }
+
+    // The adapter disappeared (unplugged, USB reset): keep the parser and its buffer, wait for it to return
+    handleDeviceLost() {
+        if (!this.running || this.reconnecting) return;
+        console.warn(`Adapter ${this.label} lost - trying to reconnect`);
+
+        this.reconnecting = true;
+        this.loop++;
+        if (this.serial) this.serial.ready = false;
+        this.setTitle(`${this.adapterTitle()} - Reconnecting...`);
+        this.updateStatus('Adapter disconnected - waiting for it to come back...', 'status-receiving');
+
+        this.reconnectTimer = setInterval(() => this.reconnect(), RECONNECT_INTERVAL_MS);
+        this.reconnect();
+    }
+
+    // Reopen the previously permitted adapter if it is back, then continue where we left off
+    async reconnect() {
+        if (!this.reconnecting || this.reconnectAttempt) return;
+        this.reconnectAttempt = true;
+        try {
+            // Devices other sessions have open are never this one
+            const devices = await Serial.getPorts(this.usb);
+            const device = devices.find(dev => !dev.opened && this.serial.isSameDevice(dev));
+            if (!device || !this.reconnecting) return;
+
+            this.updateStatus('Adapter found - reconnecting...', 'status-receiving');
+            await this.serial.openDevice(device);
+            await this.enterPrinterMode();
+            if (!this.reconnecting) return;
+
+            this.stopReconnecting();
+            this.setTitle(this.adapterTitle());
+            this.updateStatus('Reconnected - waiting for Game Boy...', 'status-idle');
+            this.refreshDevicePanel();
+            // The adapter came back with its LED off
+            this.showLed(this.ledState);
+
+            if (this.emulator) {
+                this.emulator.reset();
+            } else {
+                // Entering printer mode makes the firmware send a reset marker, which would clear the buffer
+                this.skipResetMarker = true;
+            }
+            // Idle timeouts count from now, not from before the adapter was lost
+            this.parser.lastDataTime = Date.now();
+            this.startReading();
+        } catch (err) {
+            console.warn('Reconnect attempt failed:', err);
+            this.updateStatus('Adapter disconnected - waiting for it to come back...', 'status-receiving');
+        } finally {
+            this.reconnectAttempt = false;
+        }
+    }
+
+    stopReconnecting() {
+        this.reconnecting = false;
+        clearInterval(this.reconnectTimer);
+        this.reconnectTimer = null;
+    }
+
+    // Read errors other than timeouts mean the adapter is gone if it is no longer open
+    checkDeviceLost(err) {
+        if (err.toString().includes('timeout')) return false;
+        if (this.port) {
+            // Serial ports are not reopened by themselves: the user connects the port again
+            if (!this.port.lost) return false;
+            this.port.ready = false;
+            this.setTitle(`${this.adapterTitle()} - Disconnected`);
+            this.updateStatus('Serial port lost - disconnect and connect it again', 'status-printing');
+            return true;
+        }
+        if (this.serial && this.serial.device && this.serial.device.opened) return false;
+        this.handleDeviceLost();
+        return true;
+    }
+
+    // Simulated adapter only: pull the cable, plug it back in a moment later
+    simulateUsbDrop() {
+        if (!this.usb || !this.usb.unplug) return;
+        this.usb.unplug();
+        setTimeout(() => this.usb.plug(), MOCK_REPLUG_DELAY_MS);
+    }
+
+    toggleDevicePanel() {
+        this.devicePanel.style.display = this.devicePanel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    // Fill the adapter details: descriptor, endpoint layout and which firmware commands work
+    refreshDevicePanel() {
+        if (this.port) {
+            this.refreshPortPanel();
+            return;
+        }
+        const info = this.serial && this.serial.deviceInfo();
+        this.devicePanelBtn.style.display = info ? 'inline-block' : 'none';
+        if (!info) {
+            this.devicePanel.style.display = 'none';
+            return;
+        }
+
+        const { commandOut, dataOut, dataIn } = info.endpoints;
+        const endpoints = commandOut != null
+            ? `EP${commandOut} OUT commands, EP${dataOut} OUT / EP${dataIn} IN data`
+            : `EP${dataOut} OUT / EP${dataIn} IN`;
+        fillTable(this.deviceInfoTable, [
+            ['Adapter', info.productName || 'Unknown'],
+            ['VID / PID', `${hex16(info.vendorId)} / ${hex16(info.productId)}`],
+            ['Serial number', info.serialNumber || 'None'],
+            ['Firmware', `${info.firmware === 'gblink' ? 'GBLink (Zephyr)' : 'Reconfigurable (TinyUSB)'} ${info.version}`],
+            ['Endpoints', `Interface ${info.interfaceNumber}: ${endpoints}`],
+            ['Voltage', info.voltage5V ? '5V (switched on connect)' : 'Not switched (firmware default)'],
+            ['Printer protocol', this.emulator ? 'Emulated in the browser (link mode)' : 'Adapter printer mode']
+        ].map(cells => ({ cells })));
+
+        fillTable(this.deviceFeaturesTable, firmwareFeatures(this.serial.device).map(feature => ({
+            cells: [feature.name, feature.command, feature.supported ? 'Supported' : `Needs ${feature.requires}`],
+            className: feature.supported ? '' : 'feature-unsupported'
+        })));
+
+        this.refreshLedControls();
+    }
+
+    // Serial ports take no commands, so there is only the port to describe
+    refreshPortPanel() {
+        const info = this.port.deviceInfo();
+        this.devicePanelBtn.style.display = info ? 'inline-block' : 'none';
+        if (!info) return;
+
+        fillTable(this.deviceInfoTable, [
+            ['Transport', 'Web Serial'],
+            ['VID / PID', info.usbVendorId === null ? 'Not a USB device' : `${hex16(info.usbVendorId)} / ${hex16(info.usbProductId)}`],
+            ['Baud rate', String(info.baudRate)],
+            ['Data format', 'Arduino printer emulator text log']
+        ].map(cells => ({ cells })));
+        fillTable(this.deviceFeaturesTable, [
+            { cells: ['Commands', 'None: the port only streams printer data'] }
+        ]);
+        this.refreshLedControls();
+    }
+
+    // LED packets go out on the data endpoint, which carries raw link bytes in link mode
+    ledAvailable() {
+        if (!this.serial || !this.serial.ready || this.emulator) return false;
+        return firmwareFeatures(this.serial.device).find(feature => feature.id === 'led').supported;
+    }
+
+    // The last LED settings made on any adapter are the defaults for the next one
+    loadLedSettings() {
+        const defaults = { color: '#00ff00', on: false, status: false };
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(LED_SETTINGS_KEY)));
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    updateLedSettings() {
+        this.ledSettings = {
+            color: this.ledColorInput.value,
+            on: this.ledOnCheck.checked,
+            status: this.ledStatusCheck.checked
+        };
+        localStorage.setItem(LED_SETTINGS_KEY, JSON.stringify(this.ledSettings));
+        this.showLed('idle');
+    }
+
+    refreshLedControls() {
+        this.ledColorInput.value = this.ledSettings.color;
+        this.ledOnCheck.checked = this.ledSettings.on;
+        this.ledStatusCheck.checked = this.ledSettings.status;
+
+        const available = this.ledAvailable();
+        [this.ledColorInput, this.ledOnCheck, this.ledStatusCheck].forEach(input => {
+            input.disabled = !available;
+        });
+        let hint = 'Print status: amber while receiving, green when printed, red when aborted. ' +
+            'Between prints the LED shows the color above.';
+        if (this.port) {
+            hint = 'Serial port adapters have no LED command.';
+        } else if (this.emulator) {
+            hint = 'The LED cannot be set while the browser emulates the printer (link mode).';
+        } else if (!available) {
+            hint = 'This firmware has no LED command (needs firmware 1.0.6).';
+        }
+        this.ledHint.textContent = hint;
+    }
+
+    // Print status for the LED indicator; only changes are sent to the adapter
+    setLedStatus(state) {
+        if (!this.ledSettings.status || state === this.ledState) return;
+        this.showLed(state);
+    }
+
+    showLed(state) {
+        this.ledState = state;
+        if (!this.ledAvailable()) return;
+        const { color, on, status } = this.ledSettings;
+        if (status && LED_STATUS_COLORS[state]) {
+            this.sendLed(LED_STATUS_COLORS[state], true);
+        } else {
+            this.sendLed(hexToRgb(color), on);
+        }
+    }
+
+    sendLed([r, g, b], on) {
+        const serial = this.serial;
+        // The read loop owns the IN endpoint, so don't wait for an ack
+        this.ledQueue = this.ledQueue
+            .then(() => serial.setLed(r, g, b, on, false))
+            .catch(err => console.warn('Could not set LED:', err));
+    }
+
+    async printerLoop(loop) {
+        while (this.isReading(loop)) {
+            try {
+                // Read bytes from firmware (it handles the GB protocol)
+                let bytes = await this.readChunk();
+
+                if (bytes.length > 0) {
+                    if (this.skipResetMarker && bytes[0] === 0xFF) {
+                        bytes = bytes.subarray(1);
+                    }
+                    this.skipResetMarker = false;
+                    this.handleFirmwareData(bytes);
+                }
+
+            } catch (err) {
+                if (this.isReading(loop)) {
+                    if (this.checkDeviceLost(err)) return;
+
+                    // Timeout is expected when waiting for GB to print
+                    if (!err.toString().includes('timeout')) {
+                        console.error('Read error:', err);
+                    }
+
+                    // Drop canceled prints, finish strips the Game Boy left open
+                    this.parser.checkIdle();
+
+                    await new Promise(r => setTimeout(r, 50));
+                }
+            }
+        }
+    }
+
+    // Answer the Game Boy byte by byte while the adapter is in plain link mode
+    async emulatorLoop(loop) {
+        const emulator = this.emulator;
+        let reply = 0x00;
+        while (this.isReading(loop)) {
+            try {
+                const received = await this.serial.exchangeByte(reply);
+                if (received !== null) {
+                    reply = emulator.exchange(received);
+                }
+            } catch (err) {
+                if (this.isReading(loop)) {
+                    if (this.checkDeviceLost(err)) return;
+
+                    if (!err.toString().includes('timeout')) {
+                        console.error('Link error:', err);
+                    }
+
+                    // The Game Boy went quiet: wait for the next packet from the start
+                    emulator.reset();
+                    reply = 0x00;
+                    this.parser.checkIdle();
+
+                    await new Promise(r => setTimeout(r, 50));
+                }
+            }
+        }
+    }
+
+    handleFirmwareData(bytes, now = Date.now()) {
+        if (this.recorder) {
+            this.recorder.record(bytes);
+        }
+        this.parser.push(bytes, now);
+        this.totalBytesReceived += bytes.length;
+        this.updateDataCount();
+    }
+
+    // Start recording the firmware stream, or stop and save the capture file
+    toggleRecording() {
+        if (!this.recorder) {
+            this.recorder = new CaptureRecorder(this.firmwareName());
+            this.recordBtn.textContent = 'Stop Recording';
+            console.log('Capture recording started');
+            return;
+        }
+
+        const recorder = this.recorder;
+        this.recorder = null;
+        this.recordBtn.textContent = 'Record Capture';
+        console.log(`Capture recording stopped: ${recorder.byteCount} bytes`);
+
+        this.app.downloadBlob(recorder.toBlob(), `gb-printer-capture-${exportStamp(new Date(recorder.started))}.json`);
+    }
+}
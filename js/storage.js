@@ -0,0 +1,80 @@
+/**
+ * Print History Storage
+ * Keeps received prints in IndexedDB so the gallery survives a page refresh.
+ *
+ * Each record holds the raw 2bpp tile data of every sheet plus metadata:
+ *   { id, timestamp, firmware, sheets: [{ data: Uint8Array, params }], edits }
+ * The tile data stays as received; edits (js/edits.js) are applied when drawing.
+ */
+
+const PRINT_DB_NAME = 'gb-link-printer';
+const PRINT_DB_VERSION = 1;
+const PRINT_STORE = 'prints';
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class PrintStore {
+    constructor() {
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB not available'));
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(PRINT_DB_NAME, PRINT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PRINT_STORE)) {
+                    const store = db.createObjectStore(PRINT_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(mode) {
+        const db = await this.open();
+        return db.transaction(PRINT_STORE, mode).objectStore(PRINT_STORE);
+    }
+
+    // Returns the id assigned to the new record
+    async add(record) {
+        const store = await this.transaction('readwrite');
+        return idbRequest(store.add(record));
+    }
+
+    // Replace a stored record, e.g. after editing it
+    async update(record) {
+        const store = await this.transaction('readwrite');
+        return idbRequest(store.put(record));
+    }
+
+    // All records, oldest first
+    async getAll() {
+        const store = await this.transaction('readonly');
+        return idbRequest(store.index('timestamp').getAll());
+    }
+
+    async delete(id) {
+        const store = await this.transaction('readwrite');
+        return idbRequest(store.delete(id));
+    }
+
+    async clear() {
+        const store = await this.transaction('readwrite');
+        return idbRequest(store.clear());
+    }
+}
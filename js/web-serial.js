@@ -0,0 +1,163 @@
+/**
+ * Web Serial Transport
+ * Reads printer data from Link Cable adapters that show up as a serial port
+ * (CDC-ACM) instead of a vendor-class USB interface, like the Arduino and Pico
+ * Game Boy Printer emulator sketches. They print the Arduino emulator's text
+ * log: {"command":"DATA",...} lines with hex payload lines, or raw
+ * "88 33 ..." packet lines (see js/dumps.js).
+ *
+ * PrinterLogDecoder turns that text into the firmware's stream format as it
+ * arrives, so it goes through the same PrinterParser as WebUSB data. Other
+ * lines (sketch banners, debug output) go to the session's log on its card.
+ */
+
+const SERIAL_BAUD_RATES = [115200, 57600, 38400, 19200, 9600];
+const DEFAULT_SERIAL_BAUD_RATE = 115200;
+
+// Same idle timeout as Serial.read(), so the session's idle checks run alike
+const SERIAL_READ_TIMEOUT_MS = 5000;
+
+const LOG_COMMAND_LINE = /^!?\s*\{/;
+const LOG_DATA_COMMAND = /"command"\s*:\s*"DATA"/;
+const LOG_RAW_PACKET = /^88\s+33\b/i;
+
+// Converts a printer text log arriving in arbitrary pieces, line by line
+class PrinterLogDecoder {
+    // onCheck('ok' | 'checksum'): result for raw packet lines with a checksum
+    // onLine(text): a line that is not printer data
+    constructor(onCheck = () => { }, onLine = () => { }) {
+        this.onCheck = onCheck;
+        this.onLine = onLine;
+        this.textDecoder = new TextDecoder();
+        this.partial = '';  // Text after the last line break
+        this.block = [];    // DATA command line still collecting its hex payload lines
+    }
+
+    // Take serial bytes, return the stream bytes of every command that is complete
+    push(bytes) {
+        const lines = (this.partial + this.textDecoder.decode(bytes, { stream: true })).split(/\r?\n/);
+        this.partial = lines.pop();
+
+        const stream = [];
+        lines.forEach(rawLine => {
+            const line = rawLine.trim();
+            if (LOG_COMMAND_LINE.test(line)) {
+                stream.push(...this.flush());
+                this.block.push(line);
+                // Only DATA is followed by payload lines
+                if (!LOG_DATA_COMMAND.test(line)) stream.push(...this.flush());
+            } else if (LOG_RAW_PACKET.test(line) && HEX_LINE.test(line)) {
+                stream.push(...this.flush());
+                this.block.push(line);
+                stream.push(...this.flush());
+            } else if (HEX_LINE.test(line) && this.block.length > 0) {
+                this.block.push(line);
+            } else if (line) {
+                // Sketch banners and debug output
+                this.onLine(line);
+            }
+        });
+        return new Uint8Array(stream);
+    }
+
+    // Convert the collected lines; a malformed command is dropped, not fatal
+    flush() {
+        if (this.block.length === 0) return [];
+        const text = this.block.join('\n');
+        this.block = [];
+        try {
+            return Array.from(printerLogToStream(text, this.onCheck));
+        } catch (err) {
+            console.warn('Serial: dropped malformed log lines:', err.message);
+            return [];
+        }
+    }
+}
+
+class WebSerialPort {
+    // serial: navigator.serial or a stand-in with the same requestPort
+    constructor(serial = navigator.serial, { baudRate = DEFAULT_SERIAL_BAUD_RATE, onCheck = () => { }, onLine = () => { } } = {}) {
+        this.serial = serial;
+        this.baudRate = baudRate;
+        this.onCheck = onCheck;
+        this.onLine = onLine;
+        this.port = null;
+        this.reader = null;
+        this.decoder = null;
+        this.pendingRead = null;  // reader.read() still running after a read timeout
+        this.ready = false;
+        this.lost = false;        // The port failed or closed while reading (e.g. unplugged)
+    }
+
+    // Let the user pick a port and open it; inUse lists ports other sessions have open
+    async open(inUse = []) {
+        this.ready = false;
+        const port = await this.serial.requestPort();
+        if (inUse.includes(port)) throw new Error('This adapter is already connected');
+
+        await port.open({ baudRate: this.baudRate });
+        this.port = port;
+        this.reader = port.readable.getReader();
+        this.decoder = new PrinterLogDecoder(this.onCheck, this.onLine);
+        this.pendingRead = null;
+        this.ready = true;
+        this.lost = false;
+        console.log(`Serial port opened at ${this.baudRate} baud`);
+    }
+
+    // Stream bytes decoded from the next piece of text; rejects with 'Read timeout' while the port is quiet
+    async read() {
+        if (!this.pendingRead) {
+            this.pendingRead = this.reader.read();
+        }
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject('Read timeout'), SERIAL_READ_TIMEOUT_MS);
+        });
+        let result;
+        try {
+            result = await Promise.race([this.pendingRead, timeout]);
+        } catch (err) {
+            if (err !== 'Read timeout') {
+                this.pendingRead = null;
+                this.lost = true;
+            }
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        this.pendingRead = null;
+        if (result.done) {
+            this.lost = true;
+            throw new Error('The serial port was closed.');
+        }
+        return this.decoder.push(result.value);
+    }
+
+    async close() {
+        this.ready = false;
+        if (!this.port) return;
+        try {
+            if (this.reader) {
+                await this.reader.cancel();
+                this.reader.releaseLock();
+            }
+            await this.port.close();
+        } catch (e) {
+            console.log("Serial port close error:", e);
+        }
+        this.reader = null;
+    }
+
+    // USB IDs (when the port is a USB device) and line settings, for the device panel
+    deviceInfo() {
+        if (!this.port) return null;
+        const { usbVendorId, usbProductId } = this.port.getInfo ? this.port.getInfo() : {};
+        return {
+            usbVendorId: usbVendorId === undefined ? null : usbVendorId,
+            usbProductId: usbProductId === undefined ? null : usbProductId,
+            baudRate: this.baudRate
+        };
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Minimal ZIP Archive Writer
+ * Builds an uncompressed ("stored") ZIP entirely in the browser.
+ * PNGs are already deflate-compressed, so storing them loses nothing.
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields used by ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    // data: Uint8Array or string (stored as UTF-8)
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: crc32(bytes),
+            ...dosDateTime(date)
+        });
+    }
+
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed (2.0)
+            local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+            local.setUint16(8, 0, true);            // Method: stored
+            local.setUint16(10, file.time, true);
+            local.setUint16(12, file.date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+            parts.push(local, file.name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);   // Central directory header signature
+            entry.setUint16(4, 20, true);           // Version made by
+            entry.setUint16(6, 20, true);           // Version needed
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, file.time, true);
+            entry.setUint16(14, file.date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);      // Offset of local header
+            central.push(entry, file.name);
+
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Service Worker
+ * Caches every file the app needs on the first visit, so the printer client
+ * loads without a network afterwards (conventions rarely have Wi-Fi).
+ *
+ * Keep APP_VERSION in step with the version on the connect screen: a changed
+ * sw.js is what makes browsers download the new files. The new worker waits
+ * until the page accepts the update prompt (js/pwa.js).
+ */
+
+const APP_VERSION = '2.1.0';
+const CACHE_NAME = `gb-link-printer-${APP_VERSION}`;
+
+const APP_ASSETS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/bootstrap.min.css',
+    'css/index.css',
+    'js/serial.js',
+    'js/parser.js',
+    'js/render.js',
+    'js/edits.js',
+    'js/storage.js',
+    'js/palettes.js',
+    'js/zip.js',
+    'js/gif.js',
+    'js/pdf.js',
+    'js/layout.js',
+    'js/capture.js',
+    'js/dumps.js',
+    'js/bridge.js',
+    'js/printer-emulator.js',
+    'js/mock-adapter.js',
+    'js/web-serial.js',
+    'js/live-preview.js',
+    'js/session.js',
+    'js/pwa.js',
+    'js/printer.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => {
+        // Past the HTTP cache, which may still hold the previous version's files
+        return cache.addAll(APP_ASSETS.map(url => new Request(url, { cache: 'reload' })));
+    }));
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('gb-link-printer-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Cache first; page loads ignore the query string (?mock=new) and fall back to the cached page offline
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const isPage = request.mode === 'navigate';
+    event.respondWith(caches.match(request, { ignoreSearch: isPage }).then(cached => {
+        if (cached) return cached;
+        return fetch(request).catch(err => {
+            if (isPage) return caches.match('index.html');
+            throw err;
+        });
+    }));
+});
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+    if (message.type === 'GET_VERSION') {
+        event.ports[0].postMessage({ version: APP_VERSION });
+    } else if (message.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
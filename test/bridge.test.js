@@ -0,0 +1,304 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { loadScripts } = require('./helpers/load-scripts');
+const { memoryStorage } = require('./helpers/storage');
+const { printPayload } = require('./helpers/streams');
+const receiver = require('../tools/print-receiver');
+
+const localStorage = memoryStorage();
+const scripts = loadScripts(['edits.js', 'parser.js', 'render.js', 'palettes.js', 'dumps.js', 'bridge.js'], { btoa, fetch, localStorage });
+
+const PALETTE = scripts.PALETTE_PRESETS.find(palette => palette.id === 'grayscale');
+// A two part strip as PrinterSession stores it from a GBLink adapter
+const RECORD = {
+    timestamp: Date.UTC(2026, 9, 19, 12, 30),
+    firmware: 'gblink',
+    source: 'usb',
+    adapter: 'A1',
+    sheets: [
+        { data: new Uint8Array(640).fill(0xAA), params: scripts.parsePrintParams(printPayload({ marginBefore: 1, marginAfter: 0 })) },
+        { data: new Uint8Array(640).fill(0x55), params: scripts.parsePrintParams(printPayload({ marginBefore: 0, marginAfter: 3 })) }
+    ],
+    integrity: { packets: 10, checksummed: 10, rejected: 0, resyncs: 0, rleOverruns: 0 }
+};
+const PNG = Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 1, 2, 3]);
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'print-receiver-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Receiver on a free port, shut down with its keep-alive connections after the test
+async function listen(t, options) {
+    const server = receiver.startReceiver({ port: 0, ...options });
+    await new Promise(resolve => server.on('listening', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return server;
+}
+
+test('print messages carry the exported PNG, the raw tiles and the print metadata', () => {
+    const message = scripts.bridgeMessage(RECORD, PNG, { width: 160, height: 32, scale: 2, border: true, palette: PALETTE });
+
+    assert.strictEqual(message.type, 'print');
+    assert.strictEqual(message.timestamp, '2026-10-19T12:30:00.000Z');
+    assert.deepStrictEqual([message.width, message.height, message.scale, message.border], [160, 32, 2, true]);
+    assert.deepStrictEqual([message.firmware, message.source, message.adapter], ['gblink', 'usb', 'A1']);
+    assert.strictEqual(message.edits, null);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(message.printParams)), [
+        { sheets: 1, marginBefore: 1, marginAfter: 0, palette: 0xE4, exposure: 0x40 },
+        { sheets: 1, marginBefore: 0, marginAfter: 3, palette: 0xE4, exposure: 0x40 }
+    ]);
+    assert.strictEqual(message.integrity.checksummed, 10);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(message.palette.colors))[3], [0, 0, 0]);
+    assert.deepStrictEqual(Buffer.from(message.png, 'base64'), Buffer.from(PNG));
+
+    const tiles = Buffer.from(message.tiles, 'base64');
+    assert.strictEqual(tiles.length, 1280);
+    assert.deepStrictEqual([tiles[0], tiles[639], tiles[640]], [0xAA, 0xAA, 0x55]);
+});
+
+test('base64 of large images is built in chunks', () => {
+    const bytes = new Uint8Array(200000).map((_, i) => i * 7);
+    assert.deepStrictEqual(Buffer.from(scripts.bytesToBase64(bytes), 'base64'), Buffer.from(bytes));
+});
+
+test('the URL scheme picks the transport', () => {
+    assert.strictEqual(scripts.bridgeTransport('ws://localhost:8765'), 'websocket');
+    assert.strictEqual(scripts.bridgeTransport('WSS://example.test/prints'), 'websocket');
+    assert.strictEqual(scripts.bridgeTransport('http://127.0.0.1:8765/print'), 'http');
+    assert.strictEqual(scripts.bridgeTransport('localhost:8765'), null);
+});
+
+test('a print posted by the bridge is saved by the reference receiver', async t => {
+    t.mock.method(console, 'log', () => { });
+    const out = tempDir(t);
+    const saved = [];
+    const server = await listen(t, { out, onPrint: (message, files) => saved.push(files) });
+
+    const statuses = [];
+    const bridge = new scripts.PrintBridge((text, ok) => statuses.push([text, ok]));
+    bridge.saveSettings({ enabled: true, url: `http://127.0.0.1:${server.address().port}` });
+    await bridge.send(scripts.bridgeMessage(RECORD, PNG, { width: 160, height: 32, scale: 1, border: false, palette: PALETTE }));
+
+    assert.strictEqual(saved.length, 1);
+    const [pngFile, tilesFile, jsonFile] = saved[0];
+    assert.deepStrictEqual(statuses, [[`Sent, saved as ${saved[0].join(', ')}`, true]]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(out, pngFile)), Buffer.from(PNG));
+    assert.strictEqual(fs.readFileSync(path.join(out, tilesFile)).length, 1280);
+    const metadata = JSON.parse(fs.readFileSync(path.join(out, jsonFile), 'utf8'));
+    assert.strictEqual(metadata.palette.name, 'Grayscale (Printer)');
+    assert.deepStrictEqual(metadata.palette.colors[1], [170, 170, 170]);
+    assert.strictEqual(metadata.printParams[1].marginAfter, 3);
+    assert.strictEqual(metadata.png, undefined);
+
+    // Imports arrive in the same millisecond and must not overwrite each other
+    await bridge.send(scripts.bridgeMessage(RECORD, PNG, { width: 160, height: 32, scale: 1, border: false, palette: PALETTE }));
+    assert.notStrictEqual(saved[1][0], pngFile);
+    assert.strictEqual(localStorage.getItem(scripts.BRIDGE_SETTINGS_KEY).includes('"enabled":true'), true);
+});
+
+test('the receiver only listens on the loopback address by default', async t => {
+    const server = await listen(t, { out: tempDir(t) });
+    assert.strictEqual(server.address().address, '127.0.0.1');
+});
+
+test('the receiver answers CORS preflights from the app, including Private Network Access', async t => {
+    const server = await listen(t, { out: tempDir(t) });
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}`, {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://printer.gblink.io' }
+    });
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), 'https://printer.gblink.io');
+    assert.strictEqual(response.headers.get('access-control-allow-private-network'), 'true');
+});
+
+test('pages from other origins can neither post nor open a WebSocket', async t => {
+    t.mock.method(console, 'warn', () => { });
+    const out = tempDir(t);
+    const server = await listen(t, { out, allowOrigin: 'http://localhost:8000' });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const message = JSON.stringify(scripts.bridgeMessage(RECORD, PNG, { width: 160, height: 32, scale: 1, border: false, palette: PALETTE }));
+
+    for (const method of ['OPTIONS', 'POST']) {
+        const response = await fetch(url, { method, headers: { Origin: 'https://evil.example' }, body: method === 'POST' ? message : undefined });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+        assert.strictEqual(response.headers.get('access-control-allow-private-network'), null);
+    }
+    await assert.rejects(connectWebSocket(server.address().port, 'https://evil.example'), /403/);
+    assert.deepStrictEqual(fs.readdirSync(out), []);
+
+    // The allowed page gets its own origin back
+    const allowed = await fetch(url, { method: 'POST', headers: { Origin: 'http://localhost:8000' }, body: message });
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+    assert.strictEqual(fs.readdirSync(out).length, 3);
+});
+
+test('bad messages and unusable URLs are reported, not thrown', async t => {
+    t.mock.method(console, 'warn', () => { });
+    const server = await listen(t, { out: tempDir(t) });
+
+    const statuses = [];
+    const bridge = new scripts.PrintBridge((text, ok) => statuses.push([text, ok]));
+    bridge.saveSettings({ enabled: true, url: `http://127.0.0.1:${server.address().port}` });
+    await bridge.send({ type: 'print' });
+    bridge.saveSettings({ url: 'localhost:1' });
+    await bridge.send({ type: 'ping' });
+    bridge.saveSettings({ enabled: false });
+    await bridge.send({ type: 'ping' });
+
+    assert.deepStrictEqual(statuses, [
+        ['Could not send: HTTP 400', false],
+        ['Could not send: Use a ws://, wss://, http:// or https:// URL', false]
+    ]);
+});
+
+// Stands in for the browser's WebSocket; tests open and close it by hand
+class FakeWebSocket extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.last = this;
+    }
+
+    send(text) {
+        this.sent.push(JSON.parse(text).type);
+    }
+
+    close() {
+        this.readyState = 3;
+        this.dispatchEvent(new Event('close'));
+    }
+}
+FakeWebSocket.OPEN = 1;
+
+test('WebSocket prints wait for the connection, and are dropped if it fails', () => {
+    const socketScripts = loadScripts(['bridge.js'], { WebSocket: FakeWebSocket, localStorage: memoryStorage() });
+    const statuses = [];
+    const bridge = new socketScripts.PrintBridge((text, ok) => statuses.push([text, ok]));
+    bridge.saveSettings({ enabled: true });
+
+    bridge.send({ type: 'print' });
+    bridge.send({ type: 'ping' });
+    const socket = FakeWebSocket.last;
+    assert.strictEqual(socket.url, 'ws://localhost:8765');
+    assert.deepStrictEqual(socket.sent, []);
+    socket.readyState = 1;
+    socket.dispatchEvent(new Event('open'));
+    assert.deepStrictEqual(socket.sent, ['print', 'ping']);
+    bridge.send({ type: 'print' });
+    assert.deepStrictEqual(socket.sent, ['print', 'ping', 'print']);
+
+    const reply = new Event('message');
+    reply.data = JSON.stringify({ type: 'saved', files: ['a.png', 'a.bin', 'a.json'] });
+    socket.dispatchEvent(reply);
+
+    // The receiver went away: a new connection is tried with the next print
+    socket.close();
+    bridge.send({ type: 'print' });
+    assert.notStrictEqual(FakeWebSocket.last, socket);
+    FakeWebSocket.last.dispatchEvent(new Event('close'));
+
+    assert.deepStrictEqual(statuses, [
+        ['Connected', true],
+        ['Sent, saved as a.png, a.bin, a.json', true],
+        ['Connection closed, reconnects with the next print', true],
+        ['Could not connect, 1 message(s) not sent', false]
+    ]);
+});
+
+// Minimal WebSocket client: handshake, then masked frames as browsers send them.
+// Rejects with the status line when the receiver refuses the handshake.
+function connectWebSocket(port, origin) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request({
+            host: '127.0.0.1',
+            port,
+            headers: {
+                Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13',
+                ...(origin ? { Origin: origin } : {})
+            }
+        });
+        request.on('upgrade', (response, socket) => {
+            assert.strictEqual(response.headers['sec-websocket-accept'], receiver.websocketAccept(key));
+            resolve(socket);
+        });
+        request.on('response', response => reject(new Error(`HTTP ${response.statusCode}`)));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+function maskedFrame(opcode, payload, fin = true) {
+    const data = Buffer.from(payload);
+    const mask = crypto.randomBytes(4);
+    const length = data.length < 126 ? [data.length] : [126, data.length >> 8, data.length & 0xFF];
+    const header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length[0], ...length.slice(1)]);
+    return Buffer.concat([header, mask, data.map((b, i) => b ^ mask[i & 3])]);
+}
+
+function nextMessage(socket) {
+    return new Promise(resolve => {
+        const reader = new receiver.FrameReader(frame => {
+            socket.removeListener('data', onData);
+            resolve(frame);
+        });
+        const onData = chunk => reader.push(chunk);
+        socket.on('data', onData);
+    });
+}
+
+test('WebSocket messages split into fragments are joined and acknowledged', async t => {
+    t.mock.method(console, 'log', () => { });
+    const out = tempDir(t);
+    const server = await listen(t, { out });
+    const socket = await connectWebSocket(server.address().port);
+    t.after(() => socket.destroy());
+
+    const ping = nextMessage(socket);
+    socket.write(maskedFrame(0x1, JSON.stringify({ type: 'ping' })));
+    assert.deepStrictEqual(JSON.parse((await ping).payload), { type: 'pong' });
+
+    const text = JSON.stringify(scripts.bridgeMessage(RECORD, PNG, { width: 160, height: 32, scale: 1, border: false, palette: PALETTE }));
+    const saved = nextMessage(socket);
+    // Split mid-way, and the second frame arrives a byte at a time
+    socket.write(maskedFrame(0x1, text.slice(0, 500), false));
+    for (const byte of maskedFrame(0x0, text.slice(500))) socket.write(Buffer.from([byte]));
+    const reply = JSON.parse((await saved).payload);
+
+    assert.strictEqual(reply.type, 'saved');
+    assert.deepStrictEqual(fs.readFileSync(path.join(out, reply.files[0])), Buffer.from(PNG));
+});
+
+test('server frames use the shortest length encoding', () => {
+    assert.deepStrictEqual([...receiver.encodeFrame(0x1, 'hi')], [0x81, 2, 0x68, 0x69]);
+    assert.deepStrictEqual([...receiver.encodeFrame(0x1, Buffer.alloc(300)).subarray(0, 4)], [0x81, 126, 1, 44]);
+    assert.deepStrictEqual([...receiver.encodeFrame(0x2, Buffer.alloc(70000)).subarray(0, 10)], [0x82, 127, 0, 0, 0, 0, 0, 1, 17, 112]);
+});
+
+test('receiver options', () => {
+    assert.deepStrictEqual(receiver.parseArgs([]),
+        { port: 8765, out: 'received-prints', host: '127.0.0.1', allowOrigin: 'https://printer.gblink.io' });
+    assert.deepStrictEqual(receiver.parseArgs(['--port', '9000', '--out', '/tmp/prints', '--host', '0.0.0.0', '--allow-origin', 'http://localhost:8000']),
+        { port: 9000, out: '/tmp/prints', host: '0.0.0.0', allowOrigin: 'http://localhost:8000' });
+    assert.throws(() => receiver.parseArgs(['--host']), /host/);
+    assert.throws(() => receiver.parseArgs(['--allow-origin', 'http://localhost:8000/app']), /allow-origin/);
+    assert.throws(() => receiver.parseArgs(['--allow-origin', '*']), /allow-origin/);
+    assert.throws(() => receiver.parseArgs(['--port', 'x']), /port/);
+    assert.throws(() => receiver.parseArgs(['--verbose']), /Unknown option/);
+});
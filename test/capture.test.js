@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { packet, printPayload, printJob, INIT, DATA, PRINT } = require('./helpers/streams');
+
+const scripts = loadScripts(['serial.js', 'parser.js', 'capture.js']);
+
+const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Capture file text from [t, bytes] chunks
+function captureText(chunks) {
+    return JSON.stringify({
+        format: 'gb-link-printer-capture',
+        version: 1,
+        created: '2026-01-01T00:00:00.000Z',
+        firmware: 'gblink',
+        chunks: chunks.map(([t, bytes]) => [t, hex(bytes)])
+    });
+}
+
+// Replay at full speed into a parser the way PrinterSession.replay() does, returns its events
+async function replay(chunks) {
+    const parser = new scripts.PrinterParser();
+    const events = [];
+    ['print', 'abort'].forEach(name => parser.on(name, detail => events.push([name, detail])));
+    await scripts.replayCapture(scripts.parseCapture(captureText(chunks)), Infinity, (bytes, time) => {
+        parser.checkIdle(time);
+        parser.push(bytes, time);
+    }, () => true);
+    return events;
+}
+
+const photo = printJob(new Array(640).fill(0x55), { marginBefore: 1, marginAfter: 3 });
+
+test('a recorded pause longer than the print timeout cancels the half-sent print on replay', async () => {
+    const events = await replay([
+        [0, [...packet(INIT), ...packet(DATA, [1, 2, 3])]],
+        [2500, photo]
+    ]);
+
+    assert.deepStrictEqual(events.map(([name]) => name), ['abort', 'print']);
+    assert.deepStrictEqual([events[0][1].reason, events[0][1].discarded], ['timeout', 3]);
+    assert.strictEqual(events[1][1].sheets[0].data.length, 640);
+});
+
+test('short recorded pauses do not time out, however fast the replay runs', async () => {
+    const events = await replay([
+        [0, [...packet(INIT), ...packet(DATA, [1, 2, 3])]],
+        [1500, [...packet(DATA, [4, 5, 6]), ...packet(DATA), ...packet(PRINT, printPayload()), 0xFE]]
+    ]);
+
+    assert.deepStrictEqual(events.map(([name]) => name), ['print']);
+    assert.deepStrictEqual(Array.from(events[0][1].sheets[0].data), [1, 2, 3, 4, 5, 6]);
+});
+
+test('a strip left open longer than the stitch timeout is finished on replay', async () => {
+    const events = await replay([
+        [0, printJob(new Array(640).fill(1), { marginBefore: 1, marginAfter: 0 })],
+        [6000, photo]
+    ]);
+
+    assert.deepStrictEqual(events.map(([name]) => name), ['print', 'print']);
+    assert.strictEqual(events[0][1].sheets.length, 1);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { rawPacket, packet, printPayload, DATA, INIT, PRINT, INQUIRY } = require('./helpers/streams');
+
+const scripts = loadScripts(['parser.js', 'render.js', 'dumps.js']);
+
+const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+
+test('raw packet lines become firmware stream packets', () => {
+    const log = [rawPacket(INIT), rawPacket(INQUIRY), rawPacket(DATA, [1, 2, 3]), rawPacket(PRINT, printPayload())]
+        .map(p => hex(p)).join('\n');
+
+    assert.deepStrictEqual(Array.from(scripts.printerLogToStream(log)), [
+        ...packet(INIT),
+        ...packet(DATA, [1, 2, 3]),
+        ...packet(PRINT, printPayload()),
+        0xFE
+    ]);
+});
+
+test('raw packets with a bad checksum are dropped and reported', () => {
+    const bad = rawPacket(DATA, [1, 2, 3]);
+    bad[9] ^= 0xFF;
+    const checks = [];
+    const stream = scripts.printerLogToStream([hex(rawPacket(INIT)), hex(bad)].join('\n'), r => checks.push(r));
+
+    assert.deepStrictEqual(Array.from(stream), packet(INIT));
+    assert.deepStrictEqual(checks, ['ok', 'checksum']);
+});
+
+test('raw packet lines without a checksum are passed on unchecked', () => {
+    const checks = [];
+    const stream = scripts.printerLogToStream(hex([0x88, 0x33, ...packet(DATA, [9])]), r => checks.push(r));
+
+    assert.deepStrictEqual(Array.from(stream), packet(DATA, [9]));
+    assert.deepStrictEqual(checks, []);
+});
+
+test('printer log export imports back to the same sheets', () => {
+    const record = {
+        timestamp: 0,
+        sheets: [{ data: Uint8Array.from({ length: 1300 }, (_, i) => i & 0xFF), params: scripts.parsePrintParams(printPayload()) }]
+    };
+    const parser = new scripts.PrinterParser();
+    const prints = [];
+    parser.on('print', ({ sheets }) => prints.push(sheets));
+    parser.push(scripts.printerLogToStream(scripts.printToLog(record)));
+
+    assert.deepStrictEqual(Array.from(prints[0][0].data), Array.from(record.sheets[0].data));
+    assert.deepStrictEqual({ ...prints[0][0].params }, { ...record.sheets[0].params });
+});
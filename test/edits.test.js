@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { memoryStorage } = require('./helpers/storage');
+const { encodeTiles, params } = require('./helpers/streams');
+
+const edits = loadScripts(['parser.js', 'render.js', 'edits.js'], { localStorage: memoryStorage() });
+
+// Camera-shaped print: black frame (shade 3) around a light gray picture (shade 1), with paper margins
+const CAMERA_TILES = Uint8Array.from(encodeTiles(160, 144, (x, y) =>
+    x >= 16 && x < 144 && y >= 16 && y < 128 ? 1 : 3));
+const cameraImage = () => edits.decodePrint([{ data: CAMERA_TILES, params: params({ marginBefore: 1, marginAfter: 3 }) }]);
+
+test('decodePrint reports the printed rows between the margins', () => {
+    const image = cameraImage();
+    assert.strictEqual(image.height, 8 + 144 + 24);
+    assert.strictEqual(image.printTop, 8);
+    assert.strictEqual(image.printBottom, 152);
+    assert.strictEqual(edits.isCameraPrint(image), true);
+});
+
+test('no edits leave the decoded print as it is', () => {
+    const image = cameraImage();
+    assert.strictEqual(edits.editImage(image, undefined), image);
+    assert.strictEqual(edits.hasEdits(undefined), false);
+    assert.strictEqual(edits.hasEdits({ rotate: 90 }), true);
+});
+
+test('crops remove the paper margins or keep only the camera picture', () => {
+    const trimmed = edits.editImage(cameraImage(), { crop: 'margins' });
+    assert.strictEqual(trimmed.height, 144);
+    assert.strictEqual(trimmed.shades[0], 3);
+
+    const picture = edits.editImage(cameraImage(), { crop: 'camera' });
+    assert.deepStrictEqual([picture.width, picture.height], [128, 112]);
+    assert.ok(picture.shades.every(s => s === 1));
+    assert.strictEqual(picture.exposures.length, 112);
+});
+
+test('a frame replaces the border around the camera picture', () => {
+    const framed = edits.editImage(cameraImage(), { frame: 'white' });
+    assert.deepStrictEqual([framed.width, framed.height], [160, 144]);
+    assert.strictEqual(framed.shades[0], 0);
+    assert.strictEqual(framed.shades[16 * 160 + 16], 1);
+    assert.strictEqual(framed.shades[143 * 160 + 159], 0);
+});
+
+test('the patterned frames outline the picture like the camera frames', () => {
+    const patterned = Array.from(edits.FRAME_PRESETS, frame => frame.id).slice(4);
+    assert.deepStrictEqual(patterned, ['outline', 'hearts', 'stars', 'bricks', 'waves', 'dots', 'gingham', 'sunburst']);
+
+    patterned.forEach(id => {
+        const framed = edits.editImage(cameraImage(), { frame: id });
+        const at = (x, y) => framed.shades[y * 160 + x];
+        // Picture untouched, then blank paper, the black line and blank paper again
+        assert.deepStrictEqual([at(16, 16), at(143, 127)], [1, 1], id);
+        assert.deepStrictEqual([at(15, 60), at(14, 60), at(13, 60)], [0, 3, 0], id);
+        assert.deepStrictEqual([at(80, 128), at(80, 129), at(80, 130)], [0, 3, 0], id);
+        assert.strictEqual(at(145, 14), 3, id);
+        assert.ok(framed.shades.every(shade => shade >= 0 && shade <= 3), id);
+    });
+    // Hearts: the tile repeats every 8 pixels
+    const hearts = edits.editImage(cameraImage(), { frame: 'hearts' });
+    assert.deepStrictEqual([hearts.shades[2 * 160 + 2], hearts.shades[10 * 160 + 10], hearts.shades[0]], [2, 2, 0]);
+});
+
+test('camera crops and frames leave other prints alone', () => {
+    const strip = edits.decodePrint([{ data: Uint8Array.from(encodeTiles(160, 16, () => 2)), params: params() }]);
+    assert.strictEqual(edits.isCameraPrint(strip), false);
+    assert.strictEqual(edits.editImage(strip, { crop: 'camera', frame: 'black' }), strip);
+});
+
+test('orientPixels rotates clockwise, then flips what is shown', () => {
+    // 3x2 image, one value per pixel:  1 2 3 / 4 5 6
+    const pixels = Uint8Array.from([1, 2, 3, 4, 5, 6]);
+    const orient = e => {
+        const out = edits.orientPixels(pixels, 3, 2, e, 1);
+        return [out.width, out.height, ...out.pixels];
+    };
+
+    assert.deepStrictEqual(orient({ rotate: 90 }), [2, 3, 4, 1, 5, 2, 6, 3]);
+    assert.deepStrictEqual(orient({ rotate: 180 }), [3, 2, 6, 5, 4, 3, 2, 1]);
+    assert.deepStrictEqual(orient({ rotate: 270 }), [2, 3, 3, 6, 2, 5, 1, 4]);
+    assert.deepStrictEqual(orient({ flipX: true }), [3, 2, 3, 2, 1, 6, 5, 4]);
+    assert.deepStrictEqual(orient({ rotate: 90, flipY: true }), [2, 3, 6, 3, 5, 2, 4, 1]);
+});
+
+test('editedSize accounts for crops and quarter turns', () => {
+    assert.deepStrictEqual({ ...edits.editedSize(cameraImage(), { crop: 'camera', rotate: 270 }) }, { width: 112, height: 128 });
+});
+
+test('custom frames come from 160x144 images and are stored by id', () => {
+    const pixels = new Uint8ClampedArray(160 * 144 * 4).fill(255);
+    pixels.set([0, 0, 0, 255], 0);
+    pixels.set([100, 100, 100, 255], 4);
+    const shades = edits.imageToFrameShades(pixels, 160, 144);
+    assert.deepStrictEqual(Array.from(shades.slice(0, 3)), [3, 2, 0]);
+    assert.throws(() => edits.imageToFrameShades(pixels, 128, 112), /160x144/);
+
+    const frame = edits.storeCustomFrame('Scan', shades);
+    assert.strictEqual(edits.findFrame(frame.id).name, 'Scan');
+    const framed = edits.editImage(cameraImage(), { frame: frame.id });
+    assert.deepStrictEqual(Array.from(framed.shades.slice(0, 3)), [3, 2, 0]);
+
+    edits.removeCustomFrame(frame.id);
+    assert.strictEqual(edits.findFrame(frame.id), null);
+});
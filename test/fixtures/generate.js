@@ -0,0 +1,87 @@
+/**
+ * Writes the synthetic capture fixtures.
+ *
+ *   node test/fixtures/generate.js --write
+ *
+ * The streams are built from known images, so the expected pixels in
+ * golden.json can be worked out from the patterns below rather than taken
+ * from the renderer. They are not recordings of real games; captures
+ * recorded with "Record Capture" use the same file format and can sit next to
+ * them, with their expected values added to golden.json by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encodeTiles, printJob, packet, INIT, DATA, ABORTPRINT } = require('../helpers/streams');
+
+const CHUNK_SIZE = 64;
+
+// Camera-style photo: one 160x144 picture with a checkered frame, 9 uncompressed 640 byte DATA packets
+function cameraPhoto() {
+    const tiles = encodeTiles(160, 144, (x, y) => {
+        if (x < 16 || x >= 144 || y < 16 || y >= 128) {
+            return ((x >> 2) + (y >> 2)) & 1 ? 3 : 2;
+        }
+        return Math.min(3, Math.floor(((x - 16) + (y - 16)) / 60));
+    });
+    return [0xFF, ...printJob(tiles, { marginBefore: 1, marginAfter: 3 })];
+}
+
+// One diagonal pattern printed in three RLE-compressed parts joined by zero margins
+function rleStrip() {
+    const part = (rows, seed) => encodeTiles(160, rows, (x, y) => ((x * 7 + (y + seed) * 13) % 11 < 3 ? 3 : 0));
+    return [
+        0xFF,
+        ...printJob(part(32, 0), { marginBefore: 1, marginAfter: 0 }, { compress: true }),
+        ...printJob(part(48, 32), { marginBefore: 0, marginAfter: 0 }, { compress: true }),
+        ...printJob(part(32, 80), { marginBefore: 0, marginAfter: 3 }, { compress: true })
+    ];
+}
+
+// Rings around the center, one uncompressed print with a darker exposure
+function darkExposure() {
+    const tiles = encodeTiles(160, 144, (x, y) => Math.floor(Math.hypot(x - 80, y - 72) / 12) % 4);
+    return [0xFF, ...printJob(tiles, { marginBefore: 1, marginAfter: 3, exposure: 0x60 })];
+}
+
+// Print canceled halfway (ABORTPRINT), then printed again
+function abortedRetry() {
+    const tiles = encodeTiles(160, 144, (x, y) => (x + y) % 4);
+    return [
+        0xFF,
+        ...packet(INIT),
+        ...packet(DATA, tiles.slice(0, 640)),
+        ...packet(DATA, tiles.slice(640, 1280)),
+        ...ABORTPRINT,
+        ...printJob(tiles, { marginBefore: 1, marginAfter: 3 })
+    ];
+}
+
+const FIXTURES = {
+    'synthetic-camera-photo.json': cameraPhoto,
+    'synthetic-rle-strip.json': rleStrip,
+    'synthetic-dark-exposure.json': darkExposure,
+    'synthetic-aborted-retry.json': abortedRetry
+};
+
+function toCapture(stream) {
+    const chunks = [];
+    for (let i = 0; i < stream.length; i += CHUNK_SIZE) {
+        const bytes = stream.slice(i, i + CHUNK_SIZE);
+        chunks.push([chunks.length * 5, bytes.map(b => b.toString(16).padStart(2, '0')).join('')]);
+    }
+    return {
+        format: 'gb-link-printer-capture',
+        version: 1,
+        created: '2026-01-01T00:00:00.000Z',
+        firmware: 'gblink',
+        chunks
+    };
+}
+
+if (process.argv.includes('--write')) {
+    Object.entries(FIXTURES).forEach(([file, build]) => {
+        fs.writeFileSync(path.join(__dirname, file), JSON.stringify(toCapture(build())) + '\n');
+    });
+    console.log(`Wrote ${Object.keys(FIXTURES).length} fixtures`);
+}
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const gif = loadScripts(['gif.js']);
+
+// Reads back what GifWriter writes: color table, loop flag and frames as RGB per pixel
+function decodeGif(bytes) {
+    let pos = 0;
+    const u8 = () => bytes[pos++];
+    const u16 = () => bytes[pos++] | (bytes[pos++] << 8);
+    const text = n => String.fromCharCode(...bytes.slice(pos, pos += n));
+
+    assert.strictEqual(text(6), 'GIF89a');
+    const width = u16();
+    const height = u16();
+    const packed = u8();
+    pos += 2;
+    const table = [];
+    for (let i = 0; i < 1 << ((packed & 7) + 1); i++) table.push([u8(), u8(), u8()]);
+
+    const result = { width, height, table, loop: false, frames: [] };
+    let delay = 0;
+    for (;;) {
+        const block = u8();
+        if (block === 0x3B) return result;
+        if (block === 0x21) {
+            const label = u8();
+            const size = u8();
+            if (label === 0xF9) delay = bytes[pos + 1] | (bytes[pos + 2] << 8);
+            if (label === 0xFF && text(size) === 'NETSCAPE2.0') result.loop = true;
+            else if (label !== 0xFF) pos += size;
+            for (let n = u8(); n > 0; n = u8()) pos += n;
+            continue;
+        }
+        assert.strictEqual(block, 0x2C);
+        pos += 8;
+        u8();
+        const minCodeSize = u8();
+        const data = [];
+        for (let n = u8(); n > 0; n = u8()) data.push(...bytes.slice(pos, pos += n));
+        const indices = lzwDecode(data, minCodeSize);
+        result.frames.push({ delay, pixels: indices.map(i => table[i]) });
+    }
+}
+
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    let codeSize;
+    let dict;
+    let prev = null;
+    const out = [];
+    let bit = 0;
+    const read = () => {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        return code;
+    };
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        dict = [];
+        for (let i = 0; i < clearCode; i++) dict.push([i]);
+        dict.push(null, null);
+        prev = null;
+    };
+    reset();
+    for (;;) {
+        const code = read();
+        if (code === clearCode) { reset(); continue; }
+        if (code === clearCode + 1) return out;
+        let entry;
+        if (code < dict.length) entry = dict[code];
+        else entry = [...prev, prev[0]];
+        out.push(...entry);
+        if (prev) dict.push([...prev, entry[0]]);
+        prev = entry;
+        if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+}
+
+function frame(width, height, colorAt) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set([...colorAt(i % width, Math.floor(i / width)), 255], i * 4);
+    }
+    return pixels;
+}
+
+const WHITE = [255, 255, 255];
+const GREEN = [48, 98, 48];
+
+test('frames, delays and the loop flag survive a round trip', () => {
+    const writer = new gif.GifWriter(4, 3);
+    writer.addFrame(frame(4, 3, x => (x % 2 ? GREEN : WHITE)), 500);
+    writer.addFrame(frame(4, 3, () => GREEN), 120);
+    const decoded = decodeGif(writer.toBytes());
+
+    assert.deepStrictEqual([decoded.width, decoded.height, decoded.loop], [4, 3, true]);
+    assert.deepStrictEqual(decoded.frames.map(f => f.delay), [50, 12]);
+    assert.deepStrictEqual(decoded.frames[0].pixels.slice(0, 4), [WHITE, GREEN, WHITE, GREEN]);
+    assert.ok(decoded.frames[1].pixels.every(c => c.join() === GREEN.join()));
+});
+
+test('a large detailed frame compresses and decodes exactly (table resets)', () => {
+    // 4 colors in a noisy pattern fill the 4096-entry code table several times
+    const colors = [WHITE, [170, 170, 170], [85, 85, 85], [0, 0, 0]];
+    let seed = 1;
+    const noise = () => (seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF) >> 16;
+    const pixels = frame(160, 144, () => colors[noise() & 3]);
+
+    const writer = new gif.GifWriter(160, 144, { loop: false });
+    writer.addFrame(pixels, 100);
+    const decoded = decodeGif(writer.toBytes());
+
+    assert.strictEqual(decoded.loop, false);
+    const expected = [];
+    for (let i = 0; i < pixels.length; i += 4) expected.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+    assert.deepStrictEqual(decoded.frames[0].pixels, expected);
+});
+
+test('delays are clamped to what browsers play back', () => {
+    const writer = new gif.GifWriter(1, 1);
+    writer.addFrame(frame(1, 1, () => WHITE), 0);
+    assert.strictEqual(decodeGif(writer.toBytes()).frames[0].delay, 2);
+});
+
+test('frames of the wrong size and empty GIFs are refused', () => {
+    const writer = new gif.GifWriter(2, 2);
+    assert.throws(() => writer.addFrame(frame(3, 2, () => WHITE), 100), /2x2/);
+    assert.throws(() => writer.toBytes(), /no frames/);
+});
@@ -0,0 +1,160 @@
+/**
+ * Just enough of the DOM for the scripts that draw into the page: elements
+ * that keep their children, listeners and styles, and canvases that keep
+ * their pixels.
+ */
+
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentNode = null;
+        this.style = {};
+        this.dataset = {};
+        this.attributes = {};
+        this.classNames = new Set();
+        this.className = '';
+        this.textContent = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.scrollTop = 0;
+        this.listeners = {};
+        this.found = {};  // querySelector results, made on first use
+        this.classList = {
+            add: (...names) => names.forEach(name => this.classNames.add(name)),
+            remove: (...names) => names.forEach(name => this.classNames.delete(name)),
+            toggle: (name, force = !this.classNames.has(name)) => {
+                if (force) this.classNames.add(name);
+                else this.classNames.delete(name);
+                return force;
+            },
+            contains: name => this.classNames.has(name)
+        };
+    }
+
+    // Children stack up, so the content is as high as their heights together
+    get scrollHeight() {
+        return this.children.reduce((height, child) => height + (child.height || 0), 0);
+    }
+
+    // Every element works as a <template> holding one <div>
+    get content() {
+        return { firstElementChild: new FakeElement('div') };
+    }
+
+    appendChild(child) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) throw new Error('The node to be removed is not a child of this node.');
+        this.children.splice(index, 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    // Run the listeners of one event type, e.g. dispatch('click')
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+
+    click() {
+        this.dispatch('click');
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    querySelector(selector) {
+        return this.found[selector] || (this.found[selector] = new FakeElement('div'));
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    cloneNode() {
+        return new FakeElement(this.tagName);
+    }
+}
+
+// Canvas with a 2D context that stores RGBA pixels; changing the height clears them, like a real canvas
+class FakeCanvas extends FakeElement {
+    constructor() {
+        super('canvas');
+        this.width = 300;
+        this.height = 150;
+    }
+
+    get height() {
+        return this.canvasHeight;
+    }
+
+    set height(value) {
+        this.canvasHeight = value;
+        this.pixels = new Uint8ClampedArray(this.width * value * 4);
+    }
+
+    getContext() {
+        const canvas = this;
+        return {
+            createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+            putImageData(imageData, x, y) {
+                for (let row = 0; row < imageData.height && y + row < canvas.height; row++) {
+                    const start = row * imageData.width * 4;
+                    const length = Math.min(imageData.width, canvas.width - x) * 4;
+                    canvas.pixels.set(imageData.data.subarray(start, start + length), ((y + row) * canvas.width + x) * 4);
+                }
+            },
+            getImageData(x, y, width, height) {
+                const data = new Uint8ClampedArray(width * height * 4);
+                for (let row = 0; row < height; row++) {
+                    const start = ((y + row) * canvas.width + x) * 4;
+                    data.set(canvas.pixels.subarray(start, start + width * 4), row * width * 4);
+                }
+                return { width, height, data };
+            }
+        };
+    }
+
+    // [r, g, b, a] of one pixel
+    pixel(x, y) {
+        const i = (y * this.width + x) * 4;
+        return Array.from(this.pixels.subarray(i, i + 4));
+    }
+}
+
+// document with createElement and getElementById; elements by id are made on first use
+function fakeDocument() {
+    const elements = {};
+    return {
+        elements,
+        getElementById: id => elements[id] || (elements[id] = new FakeElement('div')),
+        createElement: tagName => (tagName === 'canvas' ? new FakeCanvas() : new FakeElement(tagName))
+    };
+}
+
+module.exports = { FakeElement, FakeCanvas, fakeDocument };
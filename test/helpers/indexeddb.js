@@ -0,0 +1,123 @@
+/**
+ * In-memory IndexedDB with the parts PrintStore (js/storage.js) uses: one
+ * database per name, object stores with an auto-incremented key path, indexes
+ * for sorted getAll and requests that finish on a later tick. Records are
+ * stored as structured clones, like the browser does.
+ */
+
+// IDBRequest: onsuccess or onerror run once the operation is done
+function fakeRequest(operation) {
+    const request = { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+    setTimeout(() => {
+        try {
+            request.result = operation(request);
+        } catch (err) {
+            request.error = err;
+            if (request.onerror) request.onerror();
+            return;
+        }
+        if (request.onsuccess) request.onsuccess();
+    });
+    return request;
+}
+
+class FakeObjectStore {
+    constructor({ keyPath, autoIncrement = false }) {
+        this.keyPath = keyPath;
+        this.autoIncrement = autoIncrement;
+        this.records = new Map();
+        this.indexes = new Map();
+        this.nextKey = 1;
+    }
+
+    createIndex(name, keyPath) {
+        this.indexes.set(name, keyPath);
+    }
+
+    // The stored copy with its key filled in; add refuses keys already in use
+    write(record, overwrite) {
+        const copy = structuredClone(record);
+        if (copy[this.keyPath] === undefined && this.autoIncrement) copy[this.keyPath] = this.nextKey++;
+        const key = copy[this.keyPath];
+        if (key === undefined) throw new Error('DataError: the record has no key');
+        if (!overwrite && this.records.has(key)) throw new Error('ConstraintError: key already exists');
+        if (typeof key === 'number' && key >= this.nextKey) this.nextKey = Math.floor(key) + 1;
+        this.records.set(key, copy);
+        return key;
+    }
+
+    add(record) {
+        return fakeRequest(() => this.write(record, false));
+    }
+
+    put(record) {
+        return fakeRequest(() => this.write(record, true));
+    }
+
+    delete(key) {
+        return fakeRequest(() => {
+            this.records.delete(key);
+        });
+    }
+
+    clear() {
+        return fakeRequest(() => this.records.clear());
+    }
+
+    getAll() {
+        return fakeRequest(() => [...this.records.keys()].sort((a, b) => a - b).map(key => structuredClone(this.records.get(key))));
+    }
+
+    // Records sorted by the index's key path, then by their own key
+    index(name) {
+        const keyPath = this.indexes.get(name);
+        if (!keyPath) throw new Error(`NotFoundError: no index ${name}`);
+        return {
+            getAll: () => fakeRequest(() => [...this.records.values()]
+                .sort((a, b) => a[keyPath] - b[keyPath] || a[this.keyPath] - b[this.keyPath])
+                .map(record => structuredClone(record)))
+        };
+    }
+}
+
+class FakeDatabase {
+    constructor(name) {
+        this.name = name;
+        this.version = 0;
+        this.stores = new Map();
+        this.objectStoreNames = { contains: storeName => this.stores.has(storeName) };
+    }
+
+    createObjectStore(name, options = {}) {
+        const store = new FakeObjectStore(options);
+        this.stores.set(name, store);
+        return store;
+    }
+
+    transaction(storeName) {
+        if (!this.stores.has(storeName)) throw new Error(`NotFoundError: no object store ${storeName}`);
+        return { objectStore: name => this.stores.get(name) };
+    }
+}
+
+// indexedDB stand-in; databases live as long as it does
+function fakeIndexedDB() {
+    const databases = new Map();
+    return {
+        databases,
+        open(name, version = 1) {
+            return fakeRequest(request => {
+                if (!databases.has(name)) databases.set(name, new FakeDatabase(name));
+                const db = databases.get(name);
+                if (version > db.version) {
+                    db.version = version;
+                    request.result = db;
+                    if (request.onupgradeneeded) request.onupgradeneeded();
+                }
+                return db;
+            });
+        }
+    };
+}
+
+module.exports = { fakeIndexedDB };
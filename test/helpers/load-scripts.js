@@ -0,0 +1,45 @@
+/**
+ * Loads the browser scripts from js/ into one shared VM context, the way the
+ * page's <script> tags share a global scope, and returns their top-level names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// The parser logs every packet; keep test output readable
+const quietConsole = {
+    log() { },
+    info() { },
+    warn() { },
+    error() { }
+};
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console: quietConsole,
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        Event,
+        EventTarget,
+        ...globals
+    });
+
+    files.forEach(file => {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level const/class declarations are not properties of the context
+    // object, so resolve names by evaluating them inside it
+    return new Proxy({}, {
+        get: (_, name) => vm.runInContext(String(name), context)
+    });
+}
+
+module.exports = { loadScripts, quietConsole };
@@ -0,0 +1,36 @@
+/**
+ * The app's simulated adapter (js/mock-adapter.js) with every USB call logged,
+ * for checking what Serial sends to a device. Calls land in device.calls as
+ * { name, args }, with transferred data as plain arrays.
+ */
+
+const { loadScripts } = require('./load-scripts');
+
+const ADAPTER_SCRIPTS = ['serial.js', 'parser.js', 'render.js', 'dumps.js', 'mock-adapter.js'];
+
+const LOGGED_CALLS = [
+    'open', 'close', 'reset', 'selectConfiguration', 'claimInterface', 'releaseInterface',
+    'selectAlternateInterface', 'controlTransferOut', 'transferOut', 'transferIn'
+];
+
+function recordCalls(device) {
+    device.calls = [];
+    device.callsNamed = name => device.calls.filter(call => call.name === name);
+    LOGGED_CALLS.forEach(name => {
+        const call = device[name].bind(device);
+        device[name] = (...args) => {
+            device.calls.push({ name, args: args.map(arg => (ArrayBuffer.isView(arg) ? Array.from(arg) : arg)) });
+            return call(...args);
+        };
+    });
+    return device;
+}
+
+// Fresh scripts with a simulated adapter (MockUSB options) that plays its script without pauses
+function loadWithAdapter(options = {}) {
+    const scripts = loadScripts(ADAPTER_SCRIPTS, { navigator: {}, URLSearchParams });
+    const usb = new scripts.MockUSB({ speed: Infinity, ...options });
+    return { scripts, usb, device: recordCalls(usb.device) };
+}
+
+module.exports = { loadWithAdapter, recordCalls };
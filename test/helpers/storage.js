@@ -0,0 +1,13 @@
+/**
+ * In-memory localStorage for the scripts that keep their settings there.
+ */
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+module.exports = { memoryStorage };
@@ -0,0 +1,110 @@
+/**
+ * Builders for firmware byte streams and 2bpp tile data used by the tests
+ * and by the fixture generator.
+ */
+
+const INIT = 0x01;
+const PRINT = 0x02;
+const DATA = 0x04;
+const BREAK = 0x08;
+const INQUIRY = 0x0F;
+
+// One packet as the firmware forwards it: command, compression, length, payload
+function packet(command, payload = [], compression = 0) {
+    return [command, compression, payload.length & 0xFF, payload.length >> 8, ...payload];
+}
+
+// Packet as the Game Boy sends it on the link cable: magic, header, payload, checksum, two trailing bytes
+function rawPacket(command, payload = [], compression = 0) {
+    const body = packet(command, payload, compression);
+    const checksum = body.reduce((sum, b) => sum + b, 0) & 0xFFFF;
+    return [0x88, 0x33, ...body, checksum & 0xFF, checksum >> 8, 0x00, 0x00];
+}
+
+// PRINT payload from its fields
+function printPayload({ sheets = 1, marginBefore = 1, marginAfter = 3, palette = 0xE4, exposure = 0x40 } = {}) {
+    return [sheets, (marginBefore << 4) | marginAfter, palette, exposure];
+}
+
+// Encode an image (shade per pixel from shadeAt(x, y), 0-3) as 2bpp tiles, 20 tiles per row
+function encodeTiles(width, height, shadeAt) {
+    const bytes = [];
+    for (let tileY = 0; tileY < height / 8; tileY++) {
+        for (let tileX = 0; tileX < width / 8; tileX++) {
+            for (let row = 0; row < 8; row++) {
+                let low = 0;
+                let high = 0;
+                for (let col = 0; col < 8; col++) {
+                    const shade = shadeAt(tileX * 8 + col, tileY * 8 + row);
+                    low |= (shade & 1) << (7 - col);
+                    high |= ((shade >> 1) & 1) << (7 - col);
+                }
+                bytes.push(low, high);
+            }
+        }
+    }
+    return bytes;
+}
+
+// Game Boy Printer RLE: 0x80 | (count - 2) + value for runs, (count - 1) + bytes for literals
+function encodeRLE(data) {
+    const out = [];
+    let i = 0;
+    while (i < data.length) {
+        let run = 1;
+        while (i + run < data.length && data[i + run] === data[i] && run < 129) run++;
+
+        if (run >= 2) {
+            out.push(0x80 | (run - 2), data[i]);
+            i += run;
+            continue;
+        }
+
+        const start = i;
+        while (i < data.length && i - start < 128 &&
+            !(i + 1 < data.length && data[i + 1] === data[i])) {
+            i++;
+        }
+        out.push(i - start - 1, ...data.slice(start, i));
+    }
+    return out;
+}
+
+// Decoded print parameters as the parser reports them, no margins by default
+function params(overrides = {}) {
+    return { sheets: 1, marginBefore: 0, marginAfter: 0, palette: 0xE4, exposure: 0x40, ...overrides };
+}
+
+// INIT, DATA packets (chunked), empty DATA, PRINT and the firmware's print marker
+function printJob(tiles, params, { chunk = 640, compress = false, inquiries = true } = {}) {
+    const stream = [...packet(INIT)];
+    if (inquiries) stream.push(...packet(INQUIRY));
+    for (let i = 0; i < tiles.length; i += chunk) {
+        const payload = tiles.slice(i, i + chunk);
+        stream.push(...(compress ? packet(DATA, encodeRLE(payload), 1) : packet(DATA, payload)));
+        if (inquiries) stream.push(...packet(INQUIRY));
+    }
+    stream.push(...packet(DATA));
+    stream.push(...packet(PRINT, printPayload(params)));
+    if (inquiries) stream.push(...packet(INQUIRY), ...packet(INQUIRY));
+    stream.push(0xFE);
+    return stream;
+}
+
+const ABORTPRINT = [...Buffer.from('ABORTPRINT')];
+
+module.exports = {
+    INIT,
+    PRINT,
+    DATA,
+    BREAK,
+    INQUIRY,
+    ABORTPRINT,
+    packet,
+    rawPacket,
+    printPayload,
+    params,
+    encodeTiles,
+    encodeRLE,
+    printJob
+};
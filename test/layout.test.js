@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const layout = loadScripts(['layout.js', 'pdf.js']);
+
+const CAMERA = { width: 160, height: 144 };
+
+test('stickers are cut as wide as printer paper with an edge around the picture', () => {
+    const { paper, sticker, pages } = layout.layoutPages([CAMERA], { paper: 'a4', size: 'sticker' });
+    const cell = pages[0][0];
+
+    assert.strictEqual(paper.name, 'A4');
+    assert.strictEqual(sticker, true);
+    assert.deepStrictEqual([cell.x, cell.y, cell.width], [10, 10, 38]);
+    assert.strictEqual(cell.image.x, 12);
+    assert.strictEqual(cell.image.width, 34);
+    assert.ok(Math.abs(cell.image.height - 34 * 144 / 160) < 1e-9);
+    assert.strictEqual(cell.caption, null);
+});
+
+test('pictures fill rows, then pages', () => {
+    const items = new Array(40).fill(CAMERA);
+    const { pages } = layout.layoutPages(items, { paper: 'a4', size: 'sticker' });
+
+    // 38 x 34.6 mm stickers: (190 + 2) / 40 = 4 per row, (277 + 2) / 36.6 = 7 rows per page
+    assert.deepStrictEqual(Array.from(pages, cells => cells.length), [28, 12]);
+    assert.strictEqual(pages[0][4].y, pages[0][0].y + pages[0][0].height + 2);
+    assert.deepStrictEqual(Array.from(pages[1].slice(0, 2), cell => cell.item), [28, 29]);
+    pages.flat().forEach(cell => {
+        assert.ok(cell.x + cell.width <= 200.01 && cell.y + cell.height <= 287.01);
+    });
+});
+
+test('captions add room below the picture', () => {
+    const { pages } = layout.layoutPages([CAMERA], { paper: 'letter', size: 'small', captions: true });
+    const cell = pages[0][0];
+
+    assert.strictEqual(cell.width, 50);
+    assert.strictEqual(cell.height, cell.image.height + 5);
+    assert.ok(cell.caption.y > cell.image.y + cell.image.height);
+});
+
+test('long strips shrink to fit the page', () => {
+    const { pages } = layout.layoutPages([{ width: 160, height: 2000 }], { paper: 'letter', size: 'page' });
+    const cell = pages[0][0];
+
+    assert.ok(Math.abs(cell.image.height - (279.4 - 20)) < 1e-9);
+    assert.ok(cell.image.width < 195.9);
+});
+
+test('Letter is the default paper in the US and Canada', () => {
+    assert.strictEqual(layout.defaultLayoutPaper('en-US'), 'letter');
+    assert.strictEqual(layout.defaultLayoutPaper('en-CA'), 'letter');
+    assert.strictEqual(layout.defaultLayoutPaper('de-DE'), 'a4');
+    assert.strictEqual(layout.defaultLayoutPaper(), 'a4');
+});
+
+test('indexed PDF pictures pack pixels with as few bits as their colors need', () => {
+    // 3x1: white, black, white
+    const pixels = Uint8ClampedArray.from([255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255]);
+    const image = layout.indexedImage(pixels, 3, 1);
+
+    assert.strictEqual(image.bits, 1);
+    assert.strictEqual(image.table, 'ffffff000000');
+    assert.deepStrictEqual(Array.from(image.data), [0b01000000]);
+});
+
+test('PDF pictures keep their own pixels and the page matrix scales them', () => {
+    const pdf = new layout.PdfWriter();
+    const page = pdf.addPage(210, 297);
+    // 160x144 in 4 shades, placed 100 mm wide
+    const pixels = new Uint8ClampedArray(160 * 144 * 4);
+    for (let i = 0; i < 160 * 144; i++) pixels.fill((i % 4) * 85, i * 4, i * 4 + 3);
+    pdf.drawImage(page, pixels, 160, 144, 10, 10, 100, 90);
+
+    const text = Buffer.from(pdf.toBytes()).toString('latin1');
+    assert.match(text, /\/Width 160 \/Height 144 .*\/BitsPerComponent 2 \/Interpolate false \/Length 5760 /);
+    assert.match(text, /q 283\.46 0 0 255\.12 28\.35 \d+(\.\d+)? cm \/Im0 Do Q/);
+    assert.ok(text.length < 8000);
+});
+
+test('the PDF cross-reference table points at every object', () => {
+    const pdf = new layout.PdfWriter();
+    const page = pdf.addPage(210, 297);
+    pdf.drawImage(page, new Uint8ClampedArray(4 * 4).fill(255), 2, 2, 10, 10, 38, 38);
+    pdf.drawText(page, 'Camera (1) \\ café ☃', 10, 55);
+    pdf.drawCutLine(page, 8, 8, 42, 42);
+    pdf.addPage(210, 297);
+
+    const bytes = pdf.toBytes();
+    const text = Buffer.from(bytes).toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.endsWith('%%EOF\n'));
+    assert.match(text, /\/Count 2/);
+    assert.match(text, /\(Camera \\\(1\\\) \\\\ caf\xE9 \?\) Tj/);
+    assert.match(text, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    assert.ok(text.startsWith('xref', xref));
+    const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj`, offset), `object ${i + 1}`));
+});
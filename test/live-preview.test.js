@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { FakeElement, fakeDocument } = require('./helpers/dom');
+const { encodeTiles } = require('./helpers/streams');
+
+const scripts = loadScripts(['parser.js', 'render.js', 'palettes.js', 'live-preview.js'], { document: fakeDocument() });
+const GRAYSCALE = scripts.PALETTE_PRESETS.find(palette => palette.id === 'grayscale');
+
+const BLACK = [0, 0, 0, 255];
+const LIGHT = [170, 170, 170, 255];
+
+// One tile row (320 bytes) in a single shade
+const tileRow = shade => encodeTiles(160, 8, () => shade);
+
+function preview() {
+    const paper = new FakeElement('div');
+    paper.style.display = 'none';
+    return { paper, preview: new scripts.LivePreview(paper, () => GRAYSCALE) };
+}
+
+test('the canvas is only added once print data arrives', () => {
+    const { paper, preview: live } = preview();
+    assert.strictEqual(live.canvas, null);
+    assert.strictEqual(paper.children.length, 0);
+
+    // INIT and INQUIRY packets leave the print buffer empty
+    live.update(new Uint8Array(0));
+    assert.strictEqual(paper.children.length, 0);
+
+    // A DATA packet shorter than a tile row shows the paper, with nothing drawn yet
+    live.update(Uint8Array.from(tileRow(3).slice(0, 100)));
+    assert.deepStrictEqual(paper.children, [live.canvas]);
+    assert.strictEqual(paper.style.display, 'block');
+    assert.deepStrictEqual([live.canvas.width, live.canvas.height], [160, 0]);
+});
+
+test('complete tile rows are drawn at the bottom and the paper scrolls to them', () => {
+    const { paper, preview: live } = preview();
+    const data = [...tileRow(3), ...tileRow(1)];
+
+    live.update(Uint8Array.from(data.slice(0, 480)));
+    assert.strictEqual(live.canvas.height, 8);
+    assert.deepStrictEqual(live.canvas.pixel(0, 0), BLACK);
+    assert.strictEqual(paper.scrollTop, 8);
+
+    live.update(Uint8Array.from(data));
+    assert.strictEqual(live.canvas.height, 16);
+    assert.deepStrictEqual(live.canvas.pixel(159, 7), BLACK, 'the first row is kept when the canvas grows');
+    assert.deepStrictEqual(live.canvas.pixel(0, 8), LIGHT);
+    assert.strictEqual(paper.scrollTop, 16);
+});
+
+test('the next sheet of a strip continues below the printed one', () => {
+    const { preview: live } = preview();
+    live.update(Uint8Array.from(tileRow(3)));
+    live.sheetDone();
+
+    // The parser's buffer starts over for the next sheet
+    live.update(Uint8Array.from(tileRow(1)));
+    assert.strictEqual(live.canvas.height, 16);
+    assert.deepStrictEqual([live.canvas.pixel(0, 7), live.canvas.pixel(0, 8)], [BLACK, LIGHT]);
+});
+
+test('a finished print removes the canvas, and the next print gets a new one', () => {
+    const { paper, preview: live } = preview();
+    live.update(Uint8Array.from(tileRow(3)));
+    const first = live.canvas;
+
+    live.clear();
+    assert.strictEqual(live.canvas, null);
+    assert.deepStrictEqual(paper.children, []);
+    assert.strictEqual(paper.style.display, 'none');
+
+    live.update(Uint8Array.from(tileRow(1)));
+    assert.notStrictEqual(live.canvas, first);
+    assert.deepStrictEqual([live.canvas.height, live.canvas.pixel(0, 0)], [8, LIGHT]);
+});
+
+test('an aborted print is discarded, keeping sheets printed before it', () => {
+    const { paper, preview: live } = preview();
+    live.update(Uint8Array.from(tileRow(3)));
+    live.sheetDone();
+    live.update(Uint8Array.from([...tileRow(1), ...tileRow(1)]));
+    assert.strictEqual(live.canvas.height, 24);
+
+    live.discardSheet();
+    assert.strictEqual(live.canvas.height, 8);
+    assert.deepStrictEqual(live.canvas.pixel(0, 0), BLACK);
+    assert.strictEqual(paper.style.display, 'block');
+
+    // Without earlier sheets nothing is left to show
+    live.clear();
+    live.update(Uint8Array.from(tileRow(1)));
+    live.discardSheet();
+    assert.strictEqual(live.canvas, null);
+    assert.deepStrictEqual(paper.children, []);
+    assert.strictEqual(paper.style.display, 'none');
+});
+
+test('INIT after part of a sheet drops that part', () => {
+    const { paper, preview: live } = preview();
+    live.update(Uint8Array.from(tileRow(3)));
+    live.update(new Uint8Array(0));
+    assert.strictEqual(live.canvas, null);
+    assert.deepStrictEqual(paper.children, []);
+});
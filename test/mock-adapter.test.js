@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['serial.js', 'parser.js', 'render.js', 'dumps.js', 'printer-emulator.js', 'mock-adapter.js'], {
+    navigator: {},
+    URLSearchParams
+});
+
+// Open a Serial session on a simulated adapter that plays its script without pauses
+async function connectMock(options) {
+    const serial = new scripts.Serial(new scripts.MockUSB({ speed: Infinity, ...options }));
+    await serial.getDevice();
+    return serial;
+}
+
+// Old firmware printer mode magic: shared prefix + "PRNT"
+function printerModeMagic() {
+    return Uint8Array.from([...scripts.MAGIC_PREFIX, 0x50, 0x52, 0x4E, 0x54]);
+}
+
+// Read from the adapter into a parser until count prints came out
+async function readPrints(serial, count) {
+    const parser = new scripts.PrinterParser();
+    const prints = [];
+    parser.on('print', ({ sheets }) => prints.push(sheets));
+    while (prints.length < count) {
+        const result = await serial.read(64);
+        parser.push(new Uint8Array(result.data.buffer));
+    }
+    return prints;
+}
+
+test('new firmware: detected by VID, printer mode via command endpoint', async () => {
+    const serial = await connectMock({ firmware: 'new' });
+    assert.strictEqual(serial.isNewFirmware, true);
+    assert.strictEqual(serial.epCmdOut, 1);
+    assert.strictEqual(serial.device.voltage, 5);
+
+    await serial.sendCommand([scripts.NEW_CMD.ENTER_GB_PRINTER]);
+    const [sheets] = await readPrints(serial, 1);
+    assert.strictEqual(sheets.length, 1);
+    assert.strictEqual(sheets[0].data.length, 5760);
+    assert.deepStrictEqual({ ...sheets[0].params }, {
+        sheets: 1, marginBefore: 1, marginAfter: 3, palette: 0xE4, exposure: 0x40
+    });
+
+    await serial.disconnect();
+    assert.strictEqual(serial.device.printerMode, false);
+    assert.strictEqual(serial.device.opened, false);
+});
+
+test('old firmware: voltage switch ack, then 0x50 printer mode ack', async () => {
+    const serial = await connectMock({ firmware: 'old' });
+    assert.strictEqual(serial.isNewFirmware, false);
+    assert.strictEqual(serial.device.voltage, 5);
+
+    await serial.send(printerModeMagic());
+    const ack = await serial.read(1);
+    assert.strictEqual(ack.data.getUint8(0), 0x50);
+
+    const [sheets] = await readPrints(serial, 1);
+    assert.strictEqual(sheets[0].data.length, 5760);
+    await serial.disconnect();
+});
+
+test('strip script is stitched into one print from RLE packets', async () => {
+    const serial = await connectMock({ firmware: 'new', script: 'strip' });
+    await serial.sendCommand([scripts.NEW_CMD.ENTER_GB_PRINTER]);
+
+    const [sheets] = await readPrints(serial, 1);
+    assert.deepStrictEqual(Array.from(sheets, sheet => sheet.data.length), [1920, 1920]);
+    assert.strictEqual(scripts.decodePrint(sheets).height, 8 + 48 + 48 + 24);
+    await serial.disconnect();
+});
+
+test('the simulated adapter compresses runs the way the games do', () => {
+    // Worked out by hand: a run of 3, a 1 byte literal, a run of 2
+    assert.deepStrictEqual(Array.from(scripts.mockCompress([1, 1, 1, 2, 3, 3])), [0x81, 0x01, 0x00, 0x02, 0x80, 0x03]);
+    assert.deepStrictEqual(Array.from(scripts.mockCompress([5, 6, 7, 7])), [0x01, 0x05, 0x06, 0x80, 0x07]);
+    assert.deepStrictEqual(Array.from(scripts.mockCompress(new Array(130).fill(0))), [0xFF, 0x00, 0x00, 0x00]);
+});
+
+test('abort script keeps only the reprinted photo', async () => {
+    const serial = await connectMock({ firmware: 'old', script: 'abort' });
+    await serial.send(printerModeMagic());
+    await serial.read(1);
+
+    const [sheets] = await readPrints(serial, 1);
+    assert.strictEqual(sheets[0].data.length, 5760);
+    assert.strictEqual(sheets[0].params.exposure, 0x60);
+    await serial.disconnect();
+});
+
+// Answer the simulated Game Boy with a PrinterEmulator until count prints came out
+async function emulatePrints(serial, count) {
+    const parser = new scripts.PrinterParser();
+    const prints = [];
+    parser.on('print', ({ sheets }) => prints.push(sheets));
+    const emulator = new scripts.PrinterEmulator(bytes => parser.push(bytes));
+    emulator.start();
+
+    let reply = 0x00;
+    while (prints.length < count) {
+        reply = emulator.exchange(await serial.exchangeByte(reply));
+    }
+    return prints;
+}
+
+for (const firmware of ['new', 'old']) {
+    test(`${firmware} firmware link mode: browser emulation answers the Game Boy`, async () => {
+        const serial = await connectMock({ firmware, script: 'strip' });
+        if (firmware === 'new') {
+            await serial.sendCommand([scripts.NEW_CMD.SET_MODE, scripts.NEW_CMD.MODE_GB_LINK]);
+        }
+        assert.strictEqual(serial.device.linkMode, true);
+
+        const [sheets] = await emulatePrints(serial, 1);
+        assert.deepStrictEqual(Array.from(sheets, sheet => sheet.data.length), [1920, 1920]);
+
+        const replies = serial.device.printerReplies;
+        assert.ok(replies.length > 0);
+        assert.ok(replies.every(reply => reply.ack === 0x81));
+        assert.strictEqual(replies.find(reply => reply.command === scripts.PrinterCommand.PRINT).status,
+            scripts.PrinterStatus.BUSY);
+        await serial.disconnect();
+    });
+}
+
+test('setLed is stored and acked outside printer mode', async () => {
+    const serial = await connectMock({ firmware: 'old' });
+    assert.strictEqual(await serial.setLed(1, 2, 3), true);
+    assert.deepStrictEqual({ ...serial.device.led }, { r: 1, g: 2, b: 3, on: true });
+    assert.strictEqual(serial.device.pending.length, 0);
+    await serial.disconnect();
+});
+
+test('setLed in printer mode changes the LED without disturbing the print data', async () => {
+    const serial = await connectMock({ firmware: 'old' });
+    await serial.send(printerModeMagic());
+    await serial.read(1);
+
+    const prints = readPrints(serial, 1);
+    assert.strictEqual(await serial.setLed(255, 160, 0, true, false), true);
+    const [sheets] = await prints;
+    assert.strictEqual(sheets[0].data.length, 5760);
+    assert.deepStrictEqual({ ...serial.device.led }, { r: 255, g: 160, b: 0, on: true });
+    await serial.disconnect();
+});
+
+test('closing the device rejects a waiting read', async () => {
+    const serial = await connectMock({ firmware: 'new' });
+    const read = serial.device.transferIn(serial.epIn, 64);
+    await serial.disconnect();
+    await assert.rejects(read);
+});
+
+test('each simulated adapter has its own serial number, kept across a replug', () => {
+    const first = new scripts.MockUSB({ firmware: 'new' });
+    const second = new scripts.MockUSB({ firmware: 'old' });
+    assert.notStrictEqual(first.device.serialNumber, second.device.serialNumber);
+    assert.match(second.device.serialNumber, /^MOCK-OLD-/);
+
+    const serialNumber = first.device.serialNumber;
+    first.unplug();
+    first.plug();
+    assert.strictEqual(first.device.serialNumber, serialNumber);
+});
+
+test('mockOptionsFromUrl reads the mock and script flags', () => {
+    assert.strictEqual(scripts.mockOptionsFromUrl(''), null);
+    assert.deepStrictEqual({ ...scripts.mockOptionsFromUrl('?mock') }, { firmware: 'new', script: 'camera' });
+    assert.deepStrictEqual({ ...scripts.mockOptionsFromUrl('?mock=old&script=strip') }, { firmware: 'old', script: 'strip' });
+});
+
+test('unplug fails waiting reads and fires disconnect, plug fires connect', async () => {
+    const usb = new scripts.MockUSB({ firmware: 'new', speed: Infinity });
+    const serial = new scripts.Serial(usb);
+    await serial.getDevice();
+    const events = [];
+    usb.addEventListener('disconnect', e => events.push(['disconnect', e.device]));
+    usb.addEventListener('connect', e => events.push(['connect', e.device]));
+
+    const lost = serial.device;
+    const read = serial.read(64);
+    usb.unplug();
+    await assert.rejects(read, /disconnected/);
+    assert.strictEqual(lost.opened, false);
+    assert.strictEqual((await scripts.Serial.getPorts(usb)).length, 0);
+
+    usb.plug();
+    assert.deepStrictEqual(events.map(([type]) => type), ['disconnect', 'connect']);
+    assert.strictEqual(events[0][1], lost);
+    assert.notStrictEqual(events[1][1], lost);
+});
+
+test('a replugged adapter is found again through getPorts and reopened', async () => {
+    const usb = new scripts.MockUSB({ firmware: 'old', speed: Infinity });
+    const serial = new scripts.Serial(usb);
+    await serial.getDevice();
+    usb.unplug();
+    usb.plug();
+
+    const [device] = await scripts.Serial.getPorts(usb);
+    assert.strictEqual(serial.isSameDevice(device), true);
+    await serial.openDevice(device);
+    assert.strictEqual(serial.ready, true);
+    assert.strictEqual(serial.device, device);
+    assert.strictEqual(device.voltage, 5);
+
+    await serial.send(printerModeMagic());
+    assert.strictEqual((await serial.read(1)).data.getUint8(0), 0x50);
+    await serial.disconnect();
+});
@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { packet, printPayload, printJob, ABORTPRINT, INIT, DATA, PRINT } = require('./helpers/streams');
+
+const { PrinterParser, ParserState } = loadScripts(['parser.js']);
+
+// Parser with every event recorded as [name, detail]
+function createParser() {
+    const parser = new PrinterParser();
+    const events = [];
+    ['reset', 'command', 'packet', 'sheet', 'print', 'abort', 'desync', 'reject'].forEach(name => {
+        parser.on(name, detail => events.push([name, detail]));
+    });
+    const named = name => events.filter(([n]) => n === name).map(([, detail]) => detail);
+    return { parser, events, named };
+}
+
+test('0xFF and 0xFE inside a DATA payload are image data, not markers', () => {
+    const { parser, named } = createParser();
+    parser.push([...packet(INIT), ...packet(DATA, [0xFF, 0xFE, 0xFF, 0xFE])]);
+
+    assert.deepStrictEqual(Array.from(parser.printData), [0xFF, 0xFE, 0xFF, 0xFE]);
+    assert.strictEqual(named('reset').length, 0);
+    assert.strictEqual(named('print').length, 0);
+});
+
+test('0xFF between packets resets the print buffer', () => {
+    const { parser, named } = createParser();
+    parser.push([...packet(DATA, [1, 2, 3]), 0xFF]);
+
+    assert.strictEqual(parser.printData.length, 0);
+    assert.strictEqual(named('reset').length, 1);
+});
+
+test('0xFE between packets finishes the print', () => {
+    const { parser, named } = createParser();
+    parser.push(printJob(new Array(32).fill(0x11), { marginAfter: 3 }));
+
+    const prints = named('print');
+    assert.strictEqual(prints.length, 1);
+    assert.strictEqual(prints[0].sheets[0].data.length, 32);
+    assert.strictEqual(prints[0].sheets[0].params.marginAfter, 3);
+});
+
+test('packet lengths up to 1000 are accepted, longer ones desync', () => {
+    const { parser, named } = createParser();
+    parser.push(packet(DATA, new Array(1000).fill(0)));
+    assert.strictEqual(parser.printData.length, 1000);
+
+    parser.push([DATA, 0x00, 1001 & 0xFF, 1001 >> 8]);
+    assert.deepStrictEqual(named('desync').map(d => ({ ...d })), [{ reason: 'length', value: 1001 }]);
+    assert.strictEqual(parser.parserState, ParserState.WAIT_COMMAND);
+});
+
+test('invalid compression byte desyncs back to WAIT_COMMAND', () => {
+    const { parser, named } = createParser();
+    parser.push([DATA, 0x02]);
+
+    assert.strictEqual(named('desync')[0].reason, 'compression');
+    assert.strictEqual(parser.parserState, ParserState.WAIT_COMMAND);
+});
+
+test('sync bytes and unknown bytes are skipped while waiting for a command', () => {
+    const { parser, named } = createParser();
+    parser.push([0x88, 0x33, 0x42, 0x00, 0x81, ...packet(DATA, [7])]);
+
+    assert.deepStrictEqual(Array.from(parser.printData), [7]);
+    assert.deepStrictEqual(named('command').map(c => c.command), [DATA]);
+});
+
+test('RLE compressed DATA is decompressed into the buffer', () => {
+    const { parser } = createParser();
+    parser.push(packet(DATA, [0x83, 0xAA, 0x00, 0x01], 1));
+
+    assert.deepStrictEqual(Array.from(parser.printData), [0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0x01]);
+});
+
+test('PRINT payload is parsed into print parameters', () => {
+    const { parser, named } = createParser();
+    parser.push(packet(PRINT, [2, 0x13, 0x1B, 0xFF]));
+
+    assert.deepStrictEqual({ ...named('packet')[0].params }, {
+        sheets: 2,
+        marginBefore: 1,
+        marginAfter: 3,
+        palette: 0x1B,
+        exposure: 0x7F
+    });
+});
+
+test('palette byte 0x00 means the default palette', () => {
+    const { parser, named } = createParser();
+    parser.push(packet(PRINT, [1, 0x00, 0x00, 0x40]));
+
+    assert.strictEqual(named('packet')[0].params.palette, 0xE4);
+});
+
+test('ABORTPRINT is detected across chunk boundaries', () => {
+    const { parser, named } = createParser();
+    parser.push([...packet(INIT), ...packet(DATA, [1, 2, 3])]);
+    parser.push(ABORTPRINT.slice(0, 4));
+    parser.push(ABORTPRINT.slice(4));
+
+    assert.deepStrictEqual(named('abort').map(a => ({ ...a })), [{ reason: 'marker', discarded: 3 }]);
+    assert.strictEqual(parser.printData.length, 0);
+    assert.strictEqual(parser.parserState, ParserState.WAIT_COMMAND);
+});
+
+test('a partial ABORTPRINT sequence does not abort', () => {
+    const { parser, named } = createParser();
+    parser.push([...ABORTPRINT.slice(0, 9), 0x00, ...ABORTPRINT.slice(1)]);
+
+    assert.strictEqual(named('abort').length, 0);
+});
+
+test('abort keeps sheets that were already printed', () => {
+    const { parser, named } = createParser();
+    parser.push(printJob(new Array(16).fill(1), { marginAfter: 0 }));
+    assert.strictEqual(named('sheet').length, 1);
+
+    parser.push(ABORTPRINT);
+    assert.strictEqual(named('print').length, 1);
+    assert.strictEqual(named('abort').length, 1);
+});
+
+test('sheets with a zero post-margin are joined with the next print', () => {
+    const { parser, named } = createParser();
+    parser.push([
+        ...printJob(new Array(16).fill(1), { marginBefore: 1, marginAfter: 0 }),
+        ...printJob(new Array(32).fill(2), { marginBefore: 0, marginAfter: 0 }),
+        ...printJob(new Array(16).fill(3), { marginBefore: 0, marginAfter: 3 })
+    ]);
+
+    const prints = named('print');
+    assert.strictEqual(prints.length, 1);
+    assert.deepStrictEqual(Array.from(prints[0].sheets, s => s.data.length), [16, 32, 16]);
+});
+
+test('idle timeout discards a half-received print', () => {
+    const { parser, named } = createParser();
+    parser.push([...packet(INIT), ...packet(DATA, [1, 2, 3])]);
+
+    parser.checkIdle(parser.lastDataTime + 1000);
+    assert.strictEqual(parser.printData.length, 3);
+
+    parser.checkIdle(parser.lastDataTime + 2001);
+    assert.strictEqual(parser.printData.length, 0);
+    assert.strictEqual(named('abort')[0].reason, 'timeout');
+});
+
+test('idle timeout finishes a strip the Game Boy left open', () => {
+    const { parser, named } = createParser();
+    parser.push(printJob(new Array(16).fill(1), { marginAfter: 0 }));
+
+    parser.checkIdle(parser.lastDataTime + 5001);
+    assert.strictEqual(named('print').length, 1);
+    assert.strictEqual(parser.pendingSheets.length, 0);
+});
+
+test('printPayload helper matches the parser layout', () => {
+    const { parser, named } = createParser();
+    parser.push(packet(PRINT, printPayload({ sheets: 0, marginBefore: 2, marginAfter: 5, palette: 0xE4, exposure: 0x20 })));
+
+    const params = named('packet')[0].params;
+    assert.strictEqual(params.sheets, 0);
+    assert.strictEqual(params.marginBefore, 2);
+    assert.strictEqual(params.marginAfter, 5);
+    assert.strictEqual(params.exposure, 0x20);
+});
+
+test('a print carries its integrity report', () => {
+    const { parser, named } = createParser();
+    // INIT, INQUIRY, DATA, INQUIRY, empty DATA, PRINT, INQUIRY, INQUIRY
+    parser.push(printJob(new Array(32).fill(1), { marginAfter: 3 }));
+
+    assert.deepStrictEqual({ ...named('print')[0].integrity }, {
+        packets: 8, checksummed: 0, rejected: 0, resyncs: 0, rleOverruns: 0
+    });
+});
+
+test('integrity counts resyncs and starts over after each print', () => {
+    const { parser, named } = createParser();
+    parser.push([DATA, 0x02, DATA, 0x00, 0xFF, 0xFF]);
+    parser.push(printJob(new Array(16).fill(1)));
+    parser.push(printJob(new Array(16).fill(1)));
+
+    const prints = named('print');
+    assert.strictEqual(prints[0].integrity.resyncs, 2);
+    assert.strictEqual(prints[1].integrity.resyncs, 0);
+});
+
+test('RLE running past the packet or past 640 bytes counts as an overrun', () => {
+    const { parser } = createParser();
+    parser.push(packet(DATA, [0x05, 0x01, 0x02], 1));
+    assert.strictEqual(parser.integrity.rleOverruns, 1);
+
+    parser.push(packet(DATA, [0xFF, 0x00, 0xFF, 0x00, 0xFF, 0x00, 0xFF, 0x00, 0xFF, 0x00, 0x81], 1));
+    assert.strictEqual(parser.integrity.rleOverruns, 2);
+
+    parser.push(packet(DATA, [0xFF, 0x00, 0xFF, 0x00], 1));
+    assert.strictEqual(parser.integrity.rleOverruns, 2);
+});
+
+test('recordCheck counts verified and rejected packets', () => {
+    const { parser, named } = createParser();
+    parser.recordCheck('ok');
+    parser.recordCheck('ok');
+    parser.recordCheck('checksum');
+
+    assert.strictEqual(parser.integrity.checksummed, 2);
+    assert.strictEqual(parser.integrity.rejected, 1);
+    assert.deepStrictEqual(named('reject').map(r => r.reason), ['checksum']);
+});
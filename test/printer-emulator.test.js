@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { rawPacket, printPayload, encodeTiles, encodeRLE, ABORTPRINT, INIT, PRINT, DATA, BREAK, INQUIRY } = require('./helpers/streams');
+
+const scripts = loadScripts(['parser.js', 'render.js', 'printer-emulator.js']);
+const { PrinterStatus } = scripts;
+
+// Emulator whose stream output goes into a parser, plus every reply it sent
+function createEmulator() {
+    const stream = [];
+    const emulator = new scripts.PrinterEmulator(bytes => stream.push(...bytes));
+    const parser = new scripts.PrinterParser();
+    const prints = [];
+    parser.on('print', ({ sheets }) => prints.push(sheets));
+
+    // Clock bytes from the Game Boy, returns what the printer answered to each
+    const send = (bytes, now = 0) => {
+        const replies = [];
+        let reply = 0x00;
+        bytes.forEach(byte => {
+            replies.push(reply);
+            reply = emulator.exchange(byte, now);
+        });
+        parser.push(stream.splice(0));
+        return replies;
+    };
+    // Printer's answers during the two trailing bytes of the last packet sent
+    const answer = (bytes, now = 0) => send(bytes, now).slice(-2);
+    return { emulator, stream, prints, send, answer };
+}
+
+test('answers 0x00 during the packet, 0x81 and the status at the end', () => {
+    const { send } = createEmulator();
+    const replies = send(rawPacket(INQUIRY));
+
+    assert.deepStrictEqual(replies, [0, 0, 0, 0, 0, 0, 0, 0, 0x81, 0x00]);
+});
+
+test('valid packets reach the parser in firmware stream format', () => {
+    const { send, prints } = createEmulator();
+    const tiles = encodeTiles(160, 16, (x, y) => (x + y) % 4);
+    send([
+        ...rawPacket(INIT),
+        ...rawPacket(DATA, tiles),
+        ...rawPacket(DATA),
+        ...rawPacket(PRINT, printPayload({ marginAfter: 3 })),
+        ...rawPacket(INQUIRY)
+    ]);
+
+    assert.strictEqual(prints.length, 1);
+    assert.deepStrictEqual(Array.from(prints[0][0].data), tiles);
+});
+
+test('compressed DATA packets are passed on and decoded by the parser', () => {
+    const { send, prints } = createEmulator();
+    const tiles = encodeTiles(160, 16, (x, y) => (y < 8 ? 0 : 3));
+    send([
+        ...rawPacket(INIT),
+        ...rawPacket(DATA, encodeRLE(tiles), 1),
+        ...rawPacket(PRINT, printPayload()),
+        ...rawPacket(INQUIRY)
+    ]);
+
+    assert.deepStrictEqual(Array.from(prints[0][0].data), tiles);
+});
+
+test('a bad checksum sets the checksum error bit and drops the packet', () => {
+    const { answer, stream, emulator } = createEmulator();
+    const packet = rawPacket(DATA, [1, 2, 3, 4]);
+    packet[packet.length - 4] ^= 0xFF;
+
+    const [alive, status] = answer(packet);
+    assert.strictEqual(alive, 0x81);
+    assert.strictEqual(status & PrinterStatus.CHECKSUM_ERROR, PrinterStatus.CHECKSUM_ERROR);
+    assert.strictEqual(emulator.bufferLength, 0);
+    assert.deepStrictEqual(stream, []);
+
+    // The next good packet clears it
+    const [, next] = answer(rawPacket(INQUIRY));
+    assert.strictEqual(next & PrinterStatus.CHECKSUM_ERROR, 0);
+});
+
+test('buffered data reports unprocessed, a full image reports image full', () => {
+    const { answer } = createEmulator();
+    answer(rawPacket(INIT));
+
+    const [, partial] = answer(rawPacket(DATA, new Array(640).fill(0)));
+    assert.strictEqual(partial, PrinterStatus.UNPROCESSED);
+
+    let status;
+    for (let i = 1; i < 9; i++) {
+        [, status] = answer(rawPacket(DATA, new Array(640).fill(0)));
+    }
+    assert.strictEqual(status, PrinterStatus.UNPROCESSED | PrinterStatus.IMAGE_FULL);
+});
+
+test('PRINT reports busy while printing and empties the buffer', () => {
+    const { answer } = createEmulator();
+    answer(rawPacket(INIT));
+    answer(rawPacket(DATA, new Array(640).fill(0)));
+
+    const [, printing] = answer(rawPacket(PRINT, printPayload()), 1000);
+    assert.strictEqual(printing, PrinterStatus.BUSY);
+
+    const [, still] = answer(rawPacket(INQUIRY), 1100);
+    assert.strictEqual(still, PrinterStatus.BUSY);
+
+    const [, done] = answer(rawPacket(INQUIRY), 5000);
+    assert.strictEqual(done, 0x00);
+});
+
+test('BREAK aborts the print like the firmware marker', () => {
+    const { send, stream, emulator } = createEmulator();
+    const aborted = [];
+    send([...rawPacket(INIT), ...rawPacket(DATA, [1, 2, 3, 4])]);
+    const before = stream.length;
+    emulator.onStream = bytes => aborted.push(...bytes);
+    send(rawPacket(BREAK));
+
+    assert.strictEqual(before, 0);
+    assert.deepStrictEqual(aborted, ABORTPRINT);
+    assert.strictEqual(emulator.bufferLength, 0);
+});
+
+test('an impossible length reports a packet error and resyncs on the next magic', () => {
+    const { answer, send } = createEmulator();
+    send([0x88, 0x33, DATA, 0x00, 0xFF, 0x7F]);
+
+    const [alive, status] = answer(rawPacket(INQUIRY));
+    assert.strictEqual(alive, 0x81);
+    assert.strictEqual(status, 0x00);
+});
+
+test('garbage before the magic bytes is ignored', () => {
+    const { answer } = createEmulator();
+    const [alive] = answer([0x00, 0x12, 0x88, 0x88, ...rawPacket(INQUIRY)]);
+
+    assert.strictEqual(alive, 0x81);
+});
+
+test('start() sends the reset marker', () => {
+    const { emulator, stream } = createEmulator();
+    emulator.start();
+
+    assert.deepStrictEqual(stream, [0xFF]);
+});
+
+test('rleLength counts decompressed bytes', () => {
+    assert.strictEqual(scripts.rleLength([0x80, 0xAA]), 2);
+    assert.strictEqual(scripts.rleLength([0x02, 1, 2, 3, 0x85, 0]), 10);
+    assert.strictEqual(scripts.rleLength(encodeRLE(new Array(640).fill(7))), 640);
+});
+
+test('every checksum and length check is reported', () => {
+    const checks = [];
+    const emulator = new scripts.PrinterEmulator(() => { }, result => checks.push(result));
+    const bad = rawPacket(DATA, [1, 2]);
+    bad[bad.length - 4] ^= 0x01;
+    [...rawPacket(INIT), ...bad, 0x88, 0x33, DATA, 0x00, 0xFF, 0x7F].forEach(byte => emulator.exchange(byte, 0));
+
+    assert.deepStrictEqual(checks, ['ok', 'checksum', 'length']);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { memoryStorage } = require('./helpers/storage');
+const { encodeTiles, params } = require('./helpers/streams');
+
+const render = loadScripts(['parser.js', 'render.js', 'palettes.js'], { localStorage: memoryStorage() });
+const GRAYSCALE = render.PALETTE_PRESETS[0];
+
+// One tile row (20 tiles) where pixel x has shade x % 4
+const STRIPES = Uint8Array.from(encodeTiles(160, 8, x => x % 4));
+
+test('palette 0xE4 is the identity mapping', () => {
+    assert.deepStrictEqual(Array.from(render.paletteShades(0xE4)), [0, 1, 2, 3]);
+});
+
+test('palette 0x1B inverts the shades', () => {
+    assert.deepStrictEqual(Array.from(render.paletteShades(0x1B)), [3, 2, 1, 0]);
+});
+
+test('decodeTile reads low and high bit planes per row', () => {
+    // Row 0: low plane 0b10100000, high plane 0b11000000 -> shades 3, 2, 1, 0, ...
+    const tile = new Array(16).fill(0);
+    tile[0] = 0b10100000;
+    tile[1] = 0b11000000;
+    const shades = new Uint8Array(64);
+    render.decodeTile(tile, 0, shades, 8, 0, 0, [0, 1, 2, 3]);
+
+    assert.deepStrictEqual(Array.from(shades.slice(0, 8)), [3, 2, 1, 0, 0, 0, 0, 0]);
+    assert.ok(shades.slice(8).every(s => s === 0));
+});
+
+test('decodePrint lays tiles out 20 per row', () => {
+    const image = render.decodePrint([{ data: STRIPES, params: params() }]);
+
+    assert.strictEqual(image.width, 160);
+    assert.strictEqual(image.height, 8);
+    assert.deepStrictEqual(Array.from(image.shades.slice(0, 8)), [0, 1, 2, 3, 0, 1, 2, 3]);
+    assert.deepStrictEqual(Array.from(image.shades.slice(160 * 7 + 152)), [0, 1, 2, 3, 0, 1, 2, 3]);
+});
+
+test('decodePrint applies the PRINT palette', () => {
+    const image = render.decodePrint([{ data: STRIPES, params: params({ palette: 0x1B }) }]);
+
+    assert.deepStrictEqual(Array.from(image.shades.slice(0, 4)), [3, 2, 1, 0]);
+});
+
+test('margins add blank rows before and after each sheet', () => {
+    const image = render.decodePrint([{ data: STRIPES, params: params({ marginBefore: 1, marginAfter: 2 }) }]);
+
+    assert.strictEqual(image.height, 8 + 8 + 16);
+    assert.ok(image.shades.slice(0, 160 * 8).every(s => s === 0));
+    assert.strictEqual(image.shades[160 * 8 + 3], 3);
+});
+
+test('sheets > 1 repeats the image, sheets = 0 only feeds paper', () => {
+    const copies = render.layoutSheets([{ data: STRIPES, params: params({ sheets: 3 }) }]);
+    assert.strictEqual(copies.height, 24);
+
+    const feed = render.layoutSheets([{ data: STRIPES, params: params({ sheets: 0, marginAfter: 1 }) }]);
+    assert.strictEqual(feed.height, 8);
+});
+
+test('stitched sheets keep their own exposure rows', () => {
+    const image = render.decodePrint([
+        { data: STRIPES, params: params({ exposure: 0x20 }) },
+        { data: STRIPES, params: params({ exposure: 0x60 }) }
+    ]);
+
+    assert.strictEqual(image.exposures[0], 0x20);
+    assert.strictEqual(image.exposures[8], 0x60);
+});
+
+test('renderPixels colors shades with the display palette', () => {
+    const image = render.decodePrint([{ data: STRIPES, params: params() }]);
+    const pixels = render.renderPixels(image, GRAYSCALE);
+
+    assert.deepStrictEqual(Array.from(pixels.slice(0, 16)), [
+        255, 255, 255, 255,
+        170, 170, 170, 255,
+        85, 85, 85, 255,
+        0, 0, 0, 255
+    ]);
+});
+
+test('exposure darkens or lightens grays but keeps white and black', () => {
+    const gray = exposure => {
+        const image = render.decodePrint([{ data: STRIPES, params: params({ exposure }) }]);
+        return Array.from(render.renderPixels(image, GRAYSCALE).slice(0, 16)).filter((_, i) => i % 4 === 0);
+    };
+
+    const normal = gray(0x40);
+    const dark = gray(0x7F);
+    const light = gray(0x00);
+    assert.deepStrictEqual(normal, [255, 170, 85, 0]);
+    assert.ok(dark[1] < normal[1] && dark[2] < normal[2]);
+    assert.ok(light[1] > normal[1] && light[2] > normal[2]);
+    [dark, light].forEach(values => {
+        assert.strictEqual(values[0], 255);
+        assert.strictEqual(values[3], 0);
+    });
+});
+
+test('renderPixels can skip the exposure adjustment', () => {
+    const image = render.decodePrint([{ data: STRIPES, params: params({ exposure: 0x7F }) }]);
+    const raw = render.renderPixels(image, GRAYSCALE, false);
+
+    assert.strictEqual(raw[4], 170);
+});
+
+test('completeTileRows counts only fully received tile rows', () => {
+    assert.strictEqual(render.completeTileRows(0), 0);
+    assert.strictEqual(render.completeTileRows(319), 0);
+    assert.strictEqual(render.completeTileRows(640), 2);
+    assert.strictEqual(render.completeTileRows(5759), 17);
+});
+
+test('decodeTileRows decodes a slice of tile rows with the identity palette', () => {
+    // Row 0 stripes, row 1 solid black
+    const data = Uint8Array.from([...STRIPES, ...encodeTiles(160, 8, () => 3)]);
+    const image = render.decodeTileRows(data, 1, 2);
+
+    assert.strictEqual(image.width, 160);
+    assert.strictEqual(image.height, 8);
+    assert.ok(image.shades.every(s => s === 3));
+    assert.strictEqual(render.decodeTileRows(data, 0, 1).shades[1], 1);
+    assert.strictEqual(render.decodeTileRows(data, 2, 2).height, 0);
+});
+
+test('stackImages joins prints with their margins and exposures', () => {
+    const first = render.decodePrint([{ data: STRIPES, params: params({ marginAfter: 1, exposure: 0x20 }) }]);
+    const second = render.decodePrint([{ data: STRIPES, params: params({ palette: 0x1B }) }]);
+    const roll = render.stackImages([first, second]);
+
+    assert.strictEqual(roll.height, 16 + 8);
+    assert.strictEqual(roll.shades[3], 3);
+    assert.ok(roll.shades.slice(160 * 8, 160 * 16).every(s => s === 0));
+    assert.strictEqual(roll.shades[160 * 16 + 3], 0);
+    assert.deepStrictEqual([roll.exposures[0], roll.exposures[16]], [0x20, 0x40]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { encodeRLE } = require('./helpers/streams');
+
+const { PrinterParser } = loadScripts(['parser.js']);
+const decompress = data => Array.from(new PrinterParser().decompressRLE(data));
+
+test('empty input decodes to nothing', () => {
+    assert.deepStrictEqual(decompress([]), []);
+});
+
+test('literal run copies control + 1 bytes', () => {
+    assert.deepStrictEqual(decompress([0x02, 0x0A, 0x0B, 0x0C]), [0x0A, 0x0B, 0x0C]);
+});
+
+test('repeat run writes (control & 0x7F) + 2 copies', () => {
+    assert.deepStrictEqual(decompress([0x80, 0x55]), [0x55, 0x55]);
+    assert.deepStrictEqual(decompress([0xFF, 0x00]), new Array(129).fill(0x00));
+});
+
+test('mixed literal and repeat runs', () => {
+    assert.deepStrictEqual(decompress([0x01, 0x11, 0x22, 0x82, 0x33, 0x00, 0x44]),
+        [0x11, 0x22, 0x33, 0x33, 0x33, 0x33, 0x44]);
+});
+
+test('truncated literal run stops at the end of the data', () => {
+    assert.deepStrictEqual(decompress([0x05, 0x01, 0x02]), [0x01, 0x02]);
+});
+
+test('truncated repeat run repeats 0x00', () => {
+    assert.deepStrictEqual(decompress([0x81]), [0x00, 0x00, 0x00]);
+});
+
+// Input and its compressed bytes, worked out by hand
+const COMPRESSED = [
+    [[1, 1, 1, 2, 3, 3], [0x81, 0x01, 0x00, 0x02, 0x80, 0x03]],
+    [new Array(130).fill(0), [0xFF, 0x00, 0x00, 0x00]],
+    [[5, 6, 7, 7], [0x01, 0x05, 0x06, 0x80, 0x07]]
+];
+
+test('the test encoder writes the expected runs', () => {
+    COMPRESSED.forEach(([data, bytes]) => {
+        assert.deepStrictEqual(encodeRLE(data), bytes);
+        assert.deepStrictEqual(decompress(bytes), data);
+    });
+});
+
+test('round-trips data compressed like the games do', () => {
+    const data = [];
+    for (let i = 0; i < 640; i++) {
+        data.push(i % 50 < 30 ? 0x00 : (i * 37) & 0xFF);
+    }
+    assert.deepStrictEqual(decompress(encodeRLE(data)), data);
+});
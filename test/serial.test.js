@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithAdapter } = require('./helpers/mock-usb');
+
+// Serial on the app's simulated adapter, with the adapter's USB calls logged
+function connect(options) {
+    const { scripts, usb, device } = loadWithAdapter(options);
+    const serial = new scripts.Serial(usb);
+    return { device, scripts, serial, usb };
+}
+
+test('fwVersionAtLeast compares major, minor and patch', () => {
+    const { scripts } = connect();
+    const device = v => ({ deviceVersionMajor: v[0], deviceVersionMinor: v[1], deviceVersionSubminor: v[2] });
+
+    assert.strictEqual(scripts.fwVersionAtLeast(device([1, 0, 6]), 1, 0, 6), true);
+    assert.strictEqual(scripts.fwVersionAtLeast(device([1, 0, 5]), 1, 0, 6), false);
+    assert.strictEqual(scripts.fwVersionAtLeast(device([1, 1, 0]), 1, 0, 6), true);
+    assert.strictEqual(scripts.fwVersionAtLeast(device([0, 9, 9]), 1, 0, 6), false);
+    assert.strictEqual(scripts.fwVersionAtLeast(null, 1, 0, 6), false);
+});
+
+test('new firmware: command and data endpoints, 5V via command endpoint', async () => {
+    const { device, serial } = connect({ firmware: 'new' });
+    await serial.getDevice();
+
+    assert.strictEqual(serial.ready, true);
+    assert.strictEqual(serial.isNewFirmware, true);
+    assert.strictEqual(serial.epCmdOut, 1);
+    assert.strictEqual(serial.epOut, 2);
+    assert.strictEqual(serial.epIn, 2);
+    assert.strictEqual(device.callsNamed('reset').length, 0);
+    assert.strictEqual(device.callsNamed('controlTransferOut').length, 0);
+    assert.deepStrictEqual(device.callsNamed('transferOut').map(c => c.args), [[1, [0x41]]]);
+});
+
+test('old firmware: reset, CDC stop/start and 5V magic packet', async () => {
+    const { device, serial, scripts } = connect({ firmware: 'old', version: [1, 0, 6] });
+    await serial.getDevice();
+
+    assert.strictEqual(serial.isNewFirmware, false);
+    assert.strictEqual(serial.epOut, 1);
+    assert.strictEqual(serial.epIn, 2);
+    assert.strictEqual(device.callsNamed('reset').length, 1);
+    assert.deepStrictEqual(device.callsNamed('controlTransferOut').map(c => c.args[0].value), [0x00, 0x01]);
+
+    const [endpoint, packet] = device.callsNamed('transferOut')[0].args;
+    assert.strictEqual(endpoint, 1);
+    assert.deepStrictEqual(packet, Array.from(scripts.VSWITCH_5V_PACKET));
+});
+
+test('old firmware before 1.0.6 skips the voltage switch', async () => {
+    const { device, serial } = connect({ firmware: 'old', version: [1, 0, 5] });
+    await serial.getDevice();
+
+    assert.strictEqual(serial.ready, true);
+    assert.strictEqual(device.callsNamed('transferOut').length, 0);
+});
+
+test('setLed sends a 40 byte LED packet on supported firmware', async () => {
+    const { device, serial } = connect({ firmware: 'new', version: [1, 0, 6] });
+    await serial.getDevice();
+
+    assert.strictEqual(await serial.setLed(0x10, 0x20, 0x30), true);
+    const packet = device.callsNamed('transferOut').pop().args[1];
+    assert.strictEqual(packet.length, 40);
+    assert.deepStrictEqual(packet.slice(32), [0x4C, 0x45, 0x44, 0x53, 0x10, 0x20, 0x30, 1]);
+});
+
+test('setLed is refused on old firmware before 1.0.6', async () => {
+    const { serial } = connect({ firmware: 'old', version: [1, 0, 5] });
+    await serial.getDevice();
+
+    assert.strictEqual(await serial.setLed(255, 0, 0), false);
+});
+
+test('exchangeByte sends one byte and returns the reply', async () => {
+    const { device, serial } = connect({ firmware: 'old', version: [1, 0, 5] });
+    await serial.getDevice();
+
+    // The simulated Game Boy answers with the start of its first raw packet
+    assert.strictEqual(await serial.exchangeByte(0x00), 0x88);
+    assert.strictEqual(await serial.exchangeByte(0x00), 0x33);
+    assert.deepStrictEqual(device.callsNamed('transferOut').pop().args, [1, [0x00]]);
+    await serial.disconnect();
+});
+
+test('disconnect cancels via the command endpoint on new firmware', async () => {
+    const { device, serial } = connect({ firmware: 'new' });
+    await serial.getDevice();
+    await serial.disconnect();
+
+    assert.strictEqual(serial.ready, false);
+    assert.deepStrictEqual(device.callsNamed('transferOut').pop().args, [1, [0x01]]);
+    assert.strictEqual(device.callsNamed('releaseInterface').length, 1);
+    assert.strictEqual(device.opened, false);
+});
+
+test('disconnect sends CDC stop on old firmware', async () => {
+    const { device, serial } = connect({ firmware: 'old', version: [1, 0, 6] });
+    await serial.getDevice();
+    await serial.disconnect();
+
+    assert.strictEqual(device.callsNamed('controlTransferOut').pop().args[0].value, 0x00);
+    assert.strictEqual(device.opened, false);
+});
+
+test('isSameDevice matches vendor, product and serial number', async () => {
+    const { serial, scripts, device } = connect({ firmware: 'new' });
+    await serial.getDevice();
+
+    const other = new scripts.MockAdapterDevice({ firmware: 'new', serialNumber: device.serialNumber });
+    assert.strictEqual(serial.isSameDevice(other), true);
+    other.serialNumber = 'MOCK0002';
+    assert.strictEqual(serial.isSameDevice(other), false);
+});
+
+test('setLed without readAck leaves the IN endpoint to the read loop', async () => {
+    const { device, serial } = connect({ firmware: 'old', version: [1, 0, 6] });
+    await serial.getDevice();
+
+    assert.strictEqual(await serial.setLed(0, 0, 255, true, false), true);
+    assert.strictEqual(device.callsNamed('transferIn').length, 1);  // only the 5V switch ack
+});
+
+test('deviceInfo reports descriptor, firmware and endpoint layout', async () => {
+    const { serial } = connect({ firmware: 'new', version: [1, 2, 3] });
+    await serial.getDevice();
+
+    const info = serial.deviceInfo();
+    assert.strictEqual(info.vendorId, 0x2FE3);
+    assert.strictEqual(info.firmware, 'gblink');
+    assert.strictEqual(info.version, '1.2.3');
+    assert.strictEqual(info.interfaceNumber, 0);
+    assert.deepStrictEqual({ ...info.endpoints }, { commandOut: 1, dataOut: 2, dataIn: 2 });
+    assert.strictEqual(info.voltage5V, true);
+});
+
+test('firmwareFeatures marks the 5V switch and LED as unsupported before 1.0.6', async () => {
+    const { scripts } = connect();
+    const device = (firmware, version) => new scripts.MockAdapterDevice({ firmware, version });
+    const unsupported = d => Array.from(scripts.firmwareFeatures(d).filter(f => !f.supported), f => f.id);
+
+    assert.deepStrictEqual(unsupported(device('old', [1, 0, 5])), ['voltage', 'led']);
+    assert.deepStrictEqual(unsupported(device('old', [1, 0, 6])), []);
+    assert.deepStrictEqual(unsupported(device('new', [1, 0, 0])), ['led']);
+});
+
+test('deviceInfo notes when the firmware is too old to switch to 5V', async () => {
+    const { serial } = connect({ firmware: 'old', version: [1, 0, 5] });
+    await serial.getDevice();
+
+    assert.strictEqual(serial.deviceInfo().voltage5V, false);
+    assert.strictEqual(serial.deviceInfo().endpoints.commandOut, null);
+});
+
+test('getDevice leaves other open adapters alone and refuses one already in use', async () => {
+    const { device, serial, scripts, usb } = connect({ firmware: 'new' });
+    await serial.getDevice();
+
+    const second = new scripts.Serial(usb);
+    await assert.rejects(second.getDevice([device]), /already connected/);
+    assert.strictEqual(device.opened, true);
+    assert.strictEqual(device.callsNamed('close').length, 0);
+});
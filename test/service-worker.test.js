@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { quietConsole } = require('./helpers/load-scripts');
+
+const ROOT = path.join(__dirname, '..');
+const indexHtml = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Run sw.js against a stand-in for the worker scope and the Cache API
+function loadWorker({ cached = {}, cacheNames = [] } = {}) {
+    const listeners = {};
+    const deleted = [];
+    const added = [];
+    const caches = {
+        open: async () => ({ addAll: async requests => added.push(...requests) }),
+        keys: async () => cacheNames,
+        delete: async key => deleted.push(key),
+        match: async (request, options = {}) => {
+            const url = typeof request === 'string' ? request : request.url;
+            return cached[options.ignoreSearch ? url.split('?')[0] : url] || null;
+        }
+    };
+    const context = vm.createContext({
+        console: quietConsole,
+        caches,
+        Request: class {
+            constructor(url, init = {}) {
+                this.url = url;
+                this.cache = init.cache;
+            }
+        },
+        fetch: async () => { throw new Error('offline'); },
+        self: {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            clients: { claim: async () => { } },
+            skipWaiting() { }
+        }
+    });
+    const filename = path.join(ROOT, 'sw.js');
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+
+    // Dispatch a worker event, returns the promise the handler passed to respondWith/waitUntil
+    const dispatch = (type, fields = {}) => {
+        let result;
+        listeners[type]({ ...fields, respondWith: p => { result = p; }, waitUntil: p => { result = p; } });
+        return result;
+    };
+    return { run: code => vm.runInContext(code, context), dispatch, deleted, added };
+}
+
+test('service worker version matches the version on the connect screen', () => {
+    const { run } = loadWorker();
+    const shown = indexHtml.match(/Version: ([\d.]+)/)[1];
+    assert.strictEqual(run('APP_VERSION'), shown);
+});
+
+test('every file the page and manifest load is cached, and every cached file exists', () => {
+    const { run } = loadWorker();
+    const assets = Array.from(run('APP_ASSETS'));
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+
+    const referenced = [
+        ...[...indexHtml.matchAll(/<script src="([^"]+)"/g)].map(m => m[1]),
+        ...[...indexHtml.matchAll(/<link rel="[^"]+" href="([^"]+)"/g)].map(m => m[1]),
+        ...manifest.icons.map(icon => icon.src)
+    ];
+    referenced.forEach(url => assert.ok(assets.includes(url), `${url} is not cached`));
+
+    assets.filter(url => url !== './').forEach(url => {
+        assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} does not exist`);
+    });
+});
+
+test('installing downloads every file fresh, past the HTTP cache', async () => {
+    const { run, dispatch, added } = loadWorker();
+    await dispatch('install');
+
+    assert.deepStrictEqual(added.map(request => request.url), Array.from(run('APP_ASSETS')));
+    assert.ok(added.every(request => request.cache === 'reload'));
+});
+
+test('page loads with a query string are served from the cache', async () => {
+    const page = { body: 'index' };
+    const { dispatch } = loadWorker({ cached: { 'https://printer.example/': page } });
+
+    const response = await dispatch('fetch', {
+        request: { method: 'GET', mode: 'navigate', url: 'https://printer.example/?mock=new' }
+    });
+    assert.strictEqual(response, page);
+});
+
+test('offline page loads that miss the cache fall back to the cached page', async () => {
+    const page = { body: 'index' };
+    const { dispatch } = loadWorker({ cached: { 'index.html': page } });
+
+    const response = await dispatch('fetch', {
+        request: { method: 'GET', mode: 'navigate', url: 'https://printer.example/other' }
+    });
+    assert.strictEqual(response, page);
+});
+
+test('activating removes the caches of earlier versions only', async () => {
+    const current = `gb-link-printer-${indexHtml.match(/Version: ([\d.]+)/)[1]}`;
+    const { dispatch, deleted } = loadWorker({
+        cacheNames: ['gb-link-printer-2.0.0', 'other-app', current]
+    });
+    await dispatch('activate');
+
+    assert.deepStrictEqual(deleted, ['gb-link-printer-2.0.0']);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { FakeElement, fakeDocument } = require('./helpers/dom');
+const { memoryStorage } = require('./helpers/storage');
+const { packet, INIT, DATA } = require('./helpers/streams');
+
+const document = Object.assign(fakeDocument(), { addEventListener() { } });
+const scripts = loadScripts([
+    'serial.js', 'parser.js', 'render.js', 'edits.js', 'palettes.js', 'capture.js', 'dumps.js',
+    'printer-emulator.js', 'mock-adapter.js', 'web-serial.js', 'live-preview.js', 'session.js', 'printer.js'
+], { document, navigator: {}, URLSearchParams, ReadableStream, localStorage: memoryStorage(), setInterval, clearInterval });
+
+// The parts of GameBoyPrinter a session talks to: adapter names, gallery lanes and saved prints
+function fakeApp() {
+    const app = Object.create(scripts.GameBoyPrinter.prototype);
+    Object.assign(app, {
+        adapterCount: 0,
+        lanes: new Map(),
+        canvasContainer: new FakeElement('div'),
+        palette: scripts.PALETTE_PRESETS[0],
+        prints: [],
+        removed: []
+    });
+    app.savePrint = async record => {
+        app.prints.push(record);
+        app.laneFor(record).container.appendChild(new FakeElement('canvas'));
+    };
+    app.removeSession = session => app.removed.push(session);
+    return app;
+}
+
+// Wait for the simulated adapters and the read loops to get there
+async function until(check, what) {
+    for (let waited = 0; !check(); waited += 5) {
+        if (waited > 3000) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// A session on its own simulated adapter, connected and reading; disconnected after the test
+async function connectSession(t, app, options) {
+    const usb = new scripts.MockUSB({ speed: Infinity, ...options });
+    const session = new scripts.PrinterSession(app, { usb, source: 'mock' });
+    t.after(() => (session.running ? session.disconnect() : null));
+    await session.connect();
+    return { usb, session };
+}
+
+test('two adapters keep their own parsers, cards and gallery lanes', async t => {
+    const app = fakeApp();
+    const camera = await connectSession(t, app, { firmware: 'new', script: 'camera' });
+    const strip = await connectSession(t, app, { firmware: 'old', script: 'strip' });
+    await until(() => app.prints.length === 2, 'both prints');
+
+    assert.notStrictEqual(camera.session.parser, strip.session.parser);
+    assert.notStrictEqual(camera.session.label, strip.session.label);
+    assert.strictEqual(camera.session.label, camera.usb.device.serialNumber);
+    assert.strictEqual(camera.session.titleText.textContent, `Adapter ${camera.session.label} (simulated)`);
+
+    const byAdapter = label => app.prints.find(print => print.adapter === label);
+    const cameraPrint = byAdapter(camera.session.label);
+    const stripPrint = byAdapter(strip.session.label);
+    assert.deepStrictEqual([cameraPrint.firmware, cameraPrint.sheets.length, cameraPrint.sheets[0].data.length], ['gblink', 1, 5760]);
+    assert.deepStrictEqual([stripPrint.firmware, Array.from(stripPrint.sheets, sheet => sheet.data.length)], ['reconfigurable', [1920, 1920]]);
+
+    assert.deepStrictEqual([...app.lanes.keys()].sort(), [camera.session.label, strip.session.label].sort());
+    app.lanes.forEach(lane => assert.strictEqual(lane.container.children.length, 1));
+    assert.strictEqual(document.getElementById('sessions').children.length, 2);
+
+    await camera.session.disconnect();
+    await strip.session.disconnect();
+    assert.deepStrictEqual(app.removed, [camera.session, strip.session]);
+    assert.strictEqual(document.getElementById('sessions').children.length, 0);
+});
+
+test('an unplugged adapter is reopened when it comes back, keeping the print buffer', async t => {
+    const app = fakeApp();
+    const { usb, session } = await connectSession(t, app, { firmware: 'new', script: 'camera' });
+    await until(() => app.prints.length === 1, 'the first print');
+
+    const resets = [];
+    session.parser.on('reset', () => resets.push(session.parser.printData.length));
+    const parser = session.parser;
+    // Half of the next print has arrived when the cable is pulled
+    session.handleFirmwareData(Uint8Array.from([...packet(INIT), ...packet(DATA, new Array(640).fill(0x55))]));
+
+    usb.unplug();
+    assert.strictEqual(session.reconnecting, true);
+    assert.strictEqual(session.titleText.textContent, `Adapter ${session.label} (simulated) - Reconnecting...`);
+    assert.strictEqual(parser.printData.length, 640);
+    const lostDevice = session.serial.device;
+
+    usb.plug();
+    await until(() => !session.reconnecting, 'the reconnect');
+    assert.notStrictEqual(usb.device, lostDevice);
+    assert.strictEqual(session.serial.device, usb.device);
+    assert.strictEqual(session.serial.ready, true);
+    assert.strictEqual(session.parser, parser);
+    assert.strictEqual(session.statusText.textContent, 'Status: Reconnected - waiting for Game Boy...');
+
+    // The adapter replays its print after the reset marker it sends on entering printer mode
+    await until(() => app.prints.length === 2, 'the print after the reconnect');
+    assert.deepStrictEqual(resets, [], 'the reset marker after reconnecting is skipped');
+    assert.strictEqual(session.skipResetMarker, false);
+    assert.deepStrictEqual(app.prints.map(print => print.adapter), [session.label, session.label]);
+    assert.strictEqual(app.adapterCount, 1, 'the adapter keeps its name');
+});
+
+test('lines a serial port adapter prints besides printer data show on its card', async () => {
+    let controller;
+    const port = {
+        readable: new ReadableStream({ start: c => { controller = c; } }),
+        async open() { },
+        async close() { },
+        getInfo: () => ({ usbVendorId: 0x2341, usbProductId: 0x0043 })
+    };
+    const session = new scripts.PrinterSession(fakeApp(), { serialApi: { requestPort: async () => port }, source: 'serial' });
+    await session.connect();
+
+    controller.enqueue(new TextEncoder().encode('// GAMEBOY PRINTER Emulator V3\n{"command":"INIT"}\n'));
+    await until(() => session.logLines.length === 1, 'the banner');
+    assert.strictEqual(session.logText.textContent, '// GAMEBOY PRINTER Emulator V3');
+    assert.strictEqual(session.logText.style.display, 'block');
+
+    for (let i = 0; i < 60; i++) session.log(`line ${i}`);
+    assert.strictEqual(session.logLines.length, 50);
+    assert.strictEqual(session.logText.textContent.split('\n')[49], 'line 59');
+    await session.disconnect();
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+const { fakeIndexedDB } = require('./helpers/indexeddb');
+const { memoryStorage } = require('./helpers/storage');
+const { params } = require('./helpers/streams');
+
+// Each store gets a database of its own
+function openStore() {
+    const indexedDB = fakeIndexedDB();
+    const scripts = loadScripts(['parser.js', 'render.js', 'edits.js', 'storage.js'], {
+        window: { indexedDB },
+        indexedDB,
+        localStorage: memoryStorage()
+    });
+    return { scripts, store: new scripts.PrintStore() };
+}
+
+// A print record as PrinterSession hands it to the app
+function record(timestamp, fill) {
+    return {
+        timestamp,
+        firmware: 'gblink',
+        source: 'usb',
+        adapter: 'A1',
+        sheets: [{ data: new Uint8Array(640).fill(fill), params: params({ marginBefore: 1 }) }]
+    };
+}
+
+test('add assigns ids and getAll returns the prints oldest first', async () => {
+    const { store } = openStore();
+    const later = await store.add(record(2000, 2));
+    const earlier = await store.add(record(1000, 1));
+    const latest = await store.add(record(3000, 3));
+    assert.deepStrictEqual([later, earlier, latest], [1, 2, 3]);
+
+    const records = await store.getAll();
+    assert.deepStrictEqual(records.map(r => [r.id, r.timestamp]), [[2, 1000], [1, 2000], [3, 3000]]);
+    assert.ok(records[0].sheets[0].data instanceof Uint8Array);
+    assert.deepStrictEqual([records[0].sheets[0].data.length, records[0].sheets[0].data[639]], [640, 1]);
+    assert.deepStrictEqual(records[0].sheets[0].params, params({ marginBefore: 1 }));
+});
+
+test('update keeps the edits with the print and leaves its tile data alone', async () => {
+    const { scripts, store } = openStore();
+    const stored = record(1000, 0x55);
+    stored.id = await store.add(stored);
+    await store.add(record(2000, 0));
+
+    // What GameBoyPrinter.editPrint stores
+    stored.edits = scripts.normalizeEdits({ rotate: 90, crop: 'camera', frame: 'hearts' });
+    await store.update(stored);
+
+    const [edited, other] = await store.getAll();
+    assert.strictEqual(edited.id, stored.id);
+    assert.deepStrictEqual(edited.edits, { rotate: 90, flipX: false, flipY: false, crop: 'camera', frame: 'hearts' });
+    assert.ok(edited.sheets[0].data.every(byte => byte === 0x55));
+    assert.strictEqual(other.edits, undefined, 'prints saved without edits stay without');
+    assert.strictEqual(scripts.hasEdits(other.edits), false);
+
+    // Reset Edits stores the defaults again
+    edited.edits = scripts.normalizeEdits(null);
+    await store.update(edited);
+    assert.strictEqual(scripts.hasEdits((await store.getAll())[0].edits), false);
+});
+
+test('delete removes one print and clear removes the rest', async () => {
+    const { store } = openStore();
+    const ids = [];
+    for (const timestamp of [1000, 2000, 3000]) ids.push(await store.add(record(timestamp, 0)));
+
+    await store.delete(ids[1]);
+    assert.deepStrictEqual((await store.getAll()).map(r => r.id), [ids[0], ids[2]]);
+
+    await store.clear();
+    assert.deepStrictEqual(await store.getAll(), []);
+    // Ids are not handed out twice
+    assert.strictEqual(await store.add(record(4000, 0)), 4);
+});
+
+test('the history stays in the database across page loads', async () => {
+    const indexedDB = fakeIndexedDB();
+    const load = () => loadScripts(['storage.js'], { window: { indexedDB }, indexedDB });
+    await new (load().PrintStore)().add(record(1000, 7));
+
+    const records = await new (load().PrintStore)().getAll();
+    assert.deepStrictEqual(records.map(r => [r.id, r.sheets[0].data[0]]), [[1, 7]]);
+});
+
+test('open fails without IndexedDB', async () => {
+    const scripts = loadScripts(['storage.js'], { window: {} });
+    await assert.rejects(new scripts.PrintStore().getAll(), /IndexedDB not available/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, quietConsole } = require('./helpers/load-scripts');
+const { rawPacket, packet, printPayload, DATA, INIT, PRINT } = require('./helpers/streams');
+
+const scripts = loadScripts(['parser.js', 'render.js', 'dumps.js', 'web-serial.js'], { ReadableStream });
+
+const encode = text => new TextEncoder().encode(text);
+const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+
+// Serial port stand-in: the test enqueues what the sketch prints
+function mockSerial() {
+    let controller;
+    const port = {
+        opened: null,
+        readable: new ReadableStream({ start: c => { controller = c; } }),
+        async open(options) { this.opened = options; },
+        async close() { this.opened = null; },
+        getInfo: () => ({ usbVendorId: 0x2341, usbProductId: 0x0043 })
+    };
+    return {
+        port,
+        serial: { requestPort: async () => port },
+        print: text => controller.enqueue(encode(text)),
+        unplug: () => controller.error(new Error('The device has been lost.'))
+    };
+}
+
+test('log lines split across chunks are decoded once complete', () => {
+    const decoder = new scripts.PrinterLogDecoder();
+    const chunks = ['{"command":"IN', 'IT"}\r\n{"command":"DATA","compressed":0}\n01 02', ' 03\n04\n'];
+    const stream = chunks.flatMap(chunk => Array.from(decoder.push(encode(chunk))));
+
+    // DATA waits for the next command: its payload could go on
+    assert.deepStrictEqual(stream, packet(INIT));
+    assert.deepStrictEqual(Array.from(decoder.push(encode('{"command":"PRNT","sheets":1,"margin_upper":1,"margin_lower":3,"pallet":228,"density":64}\n'))), [
+        ...packet(DATA, [1, 2, 3, 4]),
+        ...packet(PRINT, printPayload()),
+        0xFE
+    ]);
+});
+
+test('raw packet lines are decoded and checked right away', () => {
+    const checks = [];
+    const decoder = new scripts.PrinterLogDecoder(result => checks.push(result));
+    const bad = rawPacket(DATA, [5]);
+    bad[7] ^= 0xFF;
+
+    const stream = decoder.push(encode(`${hex(rawPacket(DATA, [1, 2]))}\n${hex(bad)}\n`));
+    assert.deepStrictEqual(Array.from(stream), packet(DATA, [1, 2]));
+    assert.deepStrictEqual(checks, ['ok', 'checksum']);
+});
+
+test('banners, stray hex and malformed commands are passed on as log lines', t => {
+    const log = t.mock.method(quietConsole, 'log');
+    const lines = [];
+    const decoder = new scripts.PrinterLogDecoder(() => { }, line => lines.push(line));
+    const stream = decoder.push(encode([
+        '// GAMEBOY PRINTER Emulator V3',
+        'parse_state:0',
+        'AA BB',
+        '{"command":"INIT"',
+        '!{"command":"INIT"}',
+        ''
+    ].join('\n')));
+
+    assert.deepStrictEqual(Array.from(stream), packet(INIT));
+    assert.deepStrictEqual(lines, ['// GAMEBOY PRINTER Emulator V3', 'parse_state:0', 'AA BB']);
+    assert.strictEqual(log.mock.callCount(), 0);
+});
+
+test('WebSerialPort opens at the chosen baud rate and reads decoded packets', async () => {
+    const { port, serial, print } = mockSerial();
+    const lines = [];
+    const transport = new scripts.WebSerialPort(serial, { baudRate: 9600, onLine: line => lines.push(line) });
+    await transport.open();
+
+    assert.strictEqual(transport.ready, true);
+    assert.strictEqual(port.opened.baudRate, 9600);
+    assert.deepStrictEqual({ ...transport.deviceInfo() }, { usbVendorId: 0x2341, usbProductId: 0x0043, baudRate: 9600 });
+
+    print('// GAMEBOY PRINTER Emulator V3\n{"command":"INIT"}\n');
+    assert.deepStrictEqual(Array.from(await transport.read()), packet(INIT));
+    assert.deepStrictEqual(lines, ['// GAMEBOY PRINTER Emulator V3']);
+    await transport.close();
+    assert.strictEqual(port.opened, null);
+});
+
+test('WebSerialPort refuses a port another session has open', async () => {
+    const { port, serial } = mockSerial();
+    const transport = new scripts.WebSerialPort(serial);
+    await assert.rejects(transport.open([port]), /already connected/);
+    assert.strictEqual(port.opened, null);
+});
+
+test('an unplugged port fails the read and is marked lost', async () => {
+    const { serial, unplug } = mockSerial();
+    const transport = new scripts.WebSerialPort(serial);
+    await transport.open();
+
+    unplug();
+    await assert.rejects(transport.read(), /lost/);
+    assert.strictEqual(transport.lost, true);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const zip = loadScripts(['zip.js']);
+
+// CRC-32 from Node's own zlib: the gzip trailer holds it (zlib.crc32 needs Node 20.15)
+function referenceCrc(data) {
+    const gzip = zlib.gzipSync(data);
+    return gzip.readUInt32LE(gzip.length - 8);
+}
+
+// Reads back the end record, the central directory and the local header of every entry
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = (offset, length) => new TextDecoder().decode(bytes.subarray(offset, offset + length));
+
+    const end = bytes.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054B50, 'end of central directory signature');
+    const count = view.getUint16(end + 10, true);
+    const centralSize = view.getUint32(end + 12, true);
+    const centralOffset = view.getUint32(end + 16, true);
+    assert.strictEqual(view.getUint16(end + 8, true), count);
+    assert.strictEqual(centralOffset + centralSize, end, 'central directory ends where the end record starts');
+
+    const entries = [];
+    let pos = centralOffset;
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(pos, true), 0x02014B50, 'central directory header signature');
+        const nameLength = view.getUint16(pos + 28, true);
+        const entry = {
+            flags: view.getUint16(pos + 8, true),
+            method: view.getUint16(pos + 10, true),
+            time: view.getUint16(pos + 12, true),
+            date: view.getUint16(pos + 14, true),
+            crc: view.getUint32(pos + 16, true),
+            compressedSize: view.getUint32(pos + 20, true),
+            size: view.getUint32(pos + 24, true),
+            name: text(pos + 46, nameLength),
+            offset: view.getUint32(pos + 42, true)
+        };
+        pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+
+        // The local header must repeat what the central directory says
+        const local = entry.offset;
+        assert.strictEqual(view.getUint32(local, true), 0x04034B50, 'local file header signature');
+        assert.deepStrictEqual(
+            [view.getUint16(local + 6, true), view.getUint16(local + 8, true), view.getUint16(local + 10, true),
+                view.getUint16(local + 12, true), view.getUint32(local + 14, true), view.getUint32(local + 18, true),
+                view.getUint32(local + 22, true), text(local + 30, view.getUint16(local + 26, true))],
+            [entry.flags, entry.method, entry.time, entry.date, entry.crc, entry.compressedSize, entry.size, entry.name]
+        );
+        const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        entry.data = bytes.slice(dataStart, dataStart + entry.compressedSize);
+        entries.push(entry);
+    }
+    assert.strictEqual(pos, end);
+    return entries;
+}
+
+test('CRC-32 matches the standard check value', () => {
+    assert.strictEqual(zip.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(zip.crc32(new Uint8Array(0)), 0);
+});
+
+test('a two file archive has matching local headers, CRCs and central directory', async () => {
+    const png = Uint8Array.from({ length: 300 }, (_, i) => (i * 31) & 0xFF);
+    const manifest = '{"generator":"GB-Link Printer","prints":["café.png"]}';
+    const writer = new zip.ZipWriter();
+    writer.addFile('gameboy-print-001.png', png, new Date(2026, 9, 19, 12, 30, 44));
+    writer.addFile('manifest.json', manifest, new Date(2026, 9, 19, 12, 31, 0));
+
+    const bytes = new Uint8Array(await writer.toBlob().arrayBuffer());
+    const entries = readZip(bytes);
+
+    assert.deepStrictEqual(entries.map(e => e.name), ['gameboy-print-001.png', 'manifest.json']);
+    assert.strictEqual(entries[0].offset, 0);
+    assert.strictEqual(entries[1].offset, 30 + 'gameboy-print-001.png'.length + png.length);
+    entries.forEach(entry => {
+        assert.strictEqual(entry.method, 0, 'stored');
+        assert.strictEqual(entry.flags, 0x0800, 'UTF-8 names');
+        assert.strictEqual(entry.size, entry.compressedSize);
+        assert.strictEqual(entry.crc, referenceCrc(entry.data));
+    });
+    assert.deepStrictEqual(Buffer.from(entries[0].data), Buffer.from(png));
+    assert.strictEqual(new TextDecoder().decode(entries[1].data), manifest);
+
+    // 12:30:44 on 2026-10-19, seconds stored halved
+    assert.strictEqual(entries[0].time, (12 << 11) | (30 << 5) | 22);
+    assert.strictEqual(entries[0].date, ((2026 - 1980) << 9) | (10 << 5) | 19);
+});
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * Reference Print Receiver
+ * Receives the prints the page's print bridge (js/bridge.js) sends and saves
+ * each one as a PNG, its raw 2bpp tiles (.bin) and its metadata (.json). Plain
+ * Node 18 or newer, no dependencies: a starting point for bots, slideshows or
+ * archive scripts, and a way to try the bridge on localhost.
+ *
+ *   node tools/print-receiver.js [--port 8765] [--out received-prints] [--host 127.0.0.1]
+ *                                [--allow-origin https://printer.gblink.io]
+ *
+ * Then point the page at ws://localhost:8765 (WebSocket) or
+ * http://localhost:8765 (one POST per print).
+ *
+ * It only listens on this machine's loopback address: anyone who can reach
+ * the port can write files to --out. --host 0.0.0.0 opens it to the network,
+ * e.g. for a phone running the page; only do that on a network you trust.
+ *
+ * Any web page open in the browser can reach localhost too, so browser
+ * requests are only accepted from the page at --allow-origin (the hosted app
+ * by default; pass e.g. http://localhost:8000 for a local copy). Requests
+ * without an Origin header come from programs on this machine, not from
+ * pages, and are accepted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8765;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_OUT_DIR = 'received-prints';
+// Where the app is hosted
+const DEFAULT_ALLOW_ORIGIN = 'https://printer.gblink.io';
+// A long strip at 8x scale stays well below this
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+// Fixed by RFC 6455 for the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// CORS headers for requests from the allowed page, none for programs that send no Origin
+function corsHeaders(origin) {
+    if (!origin) return {};
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        // Lets the page reach localhost when it is served over HTTPS in Chromium (Private Network Access)
+        'Access-Control-Allow-Private-Network': 'true',
+        Vary: 'Origin'
+    };
+}
+
+function isOrigin(text) {
+    try {
+        return new URL(text).origin === text;
+    } catch (err) {
+        return false;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, out: DEFAULT_OUT_DIR, host: DEFAULT_HOST, allowOrigin: DEFAULT_ALLOW_ORIGIN };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--out') options.out = argv[++i];
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--allow-origin') options.allowOrigin = argv[++i];
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('--port needs a port number');
+    }
+    if (!options.out) throw new Error('--out needs a directory');
+    if (!options.host) throw new Error('--host needs an address');
+    if (!isOrigin(options.allowOrigin)) throw new Error('--allow-origin needs an origin like ' + DEFAULT_ALLOW_ORIGIN);
+    return options;
+}
+
+// Write one print message to outDir; returns the file names
+function savePrint(message, outDir) {
+    if (typeof message.png !== 'string' || typeof message.tiles !== 'string') {
+        throw new Error('Print message without png or tiles');
+    }
+    const time = Number.isNaN(Date.parse(message.timestamp)) ? new Date() : new Date(message.timestamp);
+    const stamp = time.toISOString().replace(/[:.]/g, '-');
+    fs.mkdirSync(outDir, { recursive: true });
+
+    // Several prints in the same millisecond (imports) get a counter
+    let base = `print-${stamp}`;
+    for (let n = 2; fs.existsSync(path.join(outDir, `${base}.json`)); n++) {
+        base = `print-${stamp}-${n}`;
+    }
+
+    const { png, tiles, ...metadata } = message;
+    const files = [`${base}.png`, `${base}.bin`, `${base}.json`];
+    fs.writeFileSync(path.join(outDir, files[0]), Buffer.from(png, 'base64'));
+    fs.writeFileSync(path.join(outDir, files[1]), Buffer.from(tiles, 'base64'));
+    fs.writeFileSync(path.join(outDir, files[2]), JSON.stringify(metadata, null, 2) + '\n');
+    return files;
+}
+
+// The reply to one message from the page
+function handleMessage(text, outDir, onPrint) {
+    const message = JSON.parse(text);
+    switch (message.type) {
+        case 'ping':
+            return { type: 'pong' };
+        case 'print': {
+            const files = savePrint(message, outDir);
+            console.log(`${message.timestamp}: ${message.width}x${message.height} print saved as ${files[0]}`);
+            onPrint(message, files);
+            return { type: 'saved', files };
+        }
+        default:
+            throw new Error(`Unknown message type: ${message.type}`);
+    }
+}
+
+function websocketAccept(key) {
+    return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+// One unmasked frame, as servers send them
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, data]);
+}
+
+// Splits incoming bytes into frames: onFrame({ fin, opcode, payload }) per complete frame
+class FrameReader {
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            const frame = this.nextFrame();
+            if (!frame) return;
+            this.onFrame(frame);
+        }
+    }
+
+    nextFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const long = buffer.readBigUInt64BE(2);
+            if (long > BigInt(MAX_MESSAGE_BYTES)) throw new Error('Frame too large');
+            length = Number(long);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) throw new Error('Frame too large');
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i & 3)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, payload };
+    }
+}
+
+// Messages of one WebSocket connection, joined from their fragments
+function acceptWebSocket(socket, onMessage) {
+    const fragments = [];
+    let size = 0;
+    const close = (code = 1000) => {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    };
+
+    const reader = new FrameReader(({ fin, opcode, payload }) => {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+            case OPCODE_CONTINUATION:
+                size += payload.length;
+                if (size > MAX_MESSAGE_BYTES) return close(1009);
+                fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments.length = 0;
+                    size = 0;
+                    socket.write(encodeFrame(OPCODE_TEXT, JSON.stringify(onMessage(text))));
+                }
+                break;
+            case OPCODE_PING:
+                socket.write(encodeFrame(OPCODE_PONG, payload));
+                break;
+            case OPCODE_CLOSE:
+                close();
+                break;
+            case OPCODE_PONG:
+                break;
+            default:
+                close(1002);
+        }
+    });
+
+    socket.on('data', chunk => {
+        try {
+            reader.push(chunk);
+        } catch (err) {
+            console.warn('WebSocket error:', err.message);
+            close(1009);
+        }
+    });
+    socket.on('error', err => console.warn('WebSocket error:', err.message));
+}
+
+// Starts listening, on the loopback address unless another host is given, for
+// programs and the page at allowOrigin; onPrint(message, files) runs after each saved print
+function startReceiver({
+    port = DEFAULT_PORT, host = DEFAULT_HOST, out = DEFAULT_OUT_DIR, allowOrigin = DEFAULT_ALLOW_ORIGIN, onPrint = () => { }
+} = {}) {
+    // Pages from other origins are refused before anything is read
+    const refused = origin => origin !== undefined && origin !== allowOrigin;
+
+    // Errors go back to the page as { type: 'error', message } instead of closing the connection
+    const reply = text => {
+        try {
+            return handleMessage(text, out, onPrint);
+        } catch (err) {
+            console.warn('Bad message:', err.message);
+            return { type: 'error', message: err.message };
+        }
+    };
+
+    const server = http.createServer((request, response) => {
+        const origin = request.headers.origin;
+        if (refused(origin)) {
+            console.warn(`Refused a request from ${origin}`);
+            response.writeHead(403, { 'Content-Type': 'text/plain' });
+            response.end(`Only ${allowOrigin} may send prints here\n`);
+            return;
+        }
+        const cors = corsHeaders(origin);
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, cors);
+            response.end();
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.writeHead(200, { ...cors, 'Content-Type': 'text/plain' });
+            response.end('GB-Link print receiver: POST prints here or connect a WebSocket\n');
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_MESSAGE_BYTES) {
+                response.writeHead(413, cors);
+                response.end();
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            const result = reply(Buffer.concat(chunks).toString('utf8'));
+            response.writeHead(result.type === 'error' ? 400 : 200, { ...cors, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(result));
+        });
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (refused(request.headers.origin)) {
+            console.warn(`Refused a WebSocket from ${request.headers.origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${websocketAccept(key)}\r\n\r\n`);
+        acceptWebSocket(socket, reply);
+    });
+
+    server.listen(port, host);
+    return server;
+}
+
+module.exports = {
+    DEFAULT_PORT, DEFAULT_HOST, DEFAULT_ALLOW_ORIGIN, parseArgs, savePrint, handleMessage, websocketAccept, encodeFrame, FrameReader, startReceiver
+};
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\nUsage: node tools/print-receiver.js [--port ${DEFAULT_PORT}] [--out ${DEFAULT_OUT_DIR}] [--host ${DEFAULT_HOST}] [--allow-origin ${DEFAULT_ALLOW_ORIGIN}]`);
+        process.exit(1);
+    }
+    const server = startReceiver(options);
+    server.on('listening', () => {
+        const { port } = server.address();
+        console.log(`Saving prints to ${path.resolve(options.out)}`);
+        console.log(`Accepting prints from pages at ${options.allowOrigin}`);
+        if (options.host !== DEFAULT_HOST) {
+            console.log(`Listening on ${options.host}: other machines that reach this port can write there`);
+        }
+        console.log(`Send prints to ws://localhost:${port} or http://localhost:${port}`);
+    });
+}